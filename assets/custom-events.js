@@ -1,68 +1,104 @@
-// Custom events have been added to the theme to make adding
-// custom functionality easier. The below events have been
-// exposed as well as the associated data for each event.
-// To enable this functionality update the 'useCustomEvents' variable in
-// the theme.liquid file to 'true'.
+// Theme events are available to third-party scripts through `window.theme.events`,
+// documented in src/scripts/utils/theme-events.js. They are always dispatched,
+// the 'useCustomEvents' flag in theme-globals.liquid no longer needs to be set.
+//
+//   theme.events.on("cart:updated", function (payload) { ... });
+//   theme.events.on("cart:*", function (payload, eventName) { ... });
+//
+// Every event is also dispatched on `document` as a CustomEvent with the payload
+// as `detail`, so the listeners below keep working unchanged.
+
+// Listeners registered here with `theme.events.on` are queued by the shim in
+// theme-globals.liquid until the theme bundle loads. Uncomment the examples
+// below to log the events while developing.
 
 // This event fires whenever an item has been added to the cart.
 // This event is exposed when the ajax cart is enabled.
 // The product object is passed within the detail object.
-document.addEventListener("cart:item-added", function (evt) {
-  console.log("Item added to the cart");
-  console.log(evt.detail.product);
-});
+// document.addEventListener("cart:item-added", function (evt) {
+//   console.log("Item added to the cart");
+//   console.log(evt.detail.product);
+// });
 
 // This event fires whenever the cart is updated.
 // This event is exposed when the ajax cart is enabled.
 // The cart object is passed within the detail object.
-document.addEventListener("cart:updated", function (evt) {
-  console.log("Cart updated");
-  console.log(evt.detail.cart);
-});
+// document.addEventListener("cart:updated", function (evt) {
+//   console.log("Cart updated");
+//   console.log(evt.detail.cart);
+// });
 
 // This event fires whenever there is an error when adding an item to the cart.
 // This error is typically due to a product not having sufficient stock.
 // The error message is passed within the detail object.
-document.addEventListener("cart:error", function (evt) {
-  console.log("Cart error");
-  console.log(evt.detail.errorMessage);
-});
+// document.addEventListener("cart:error", function (evt) {
+//   console.log("Cart error");
+//   console.log(evt.detail.errorMessage);
+// });
 
 // This event fires whenever the quick cart is opened.
 // This event is exposed when the ajax cart is enabled.
 // The cart object is passed within the detail object.
-document.addEventListener("quick-cart:open", function (evt) {
-  console.log("Quick cart opened");
-  console.log(evt.detail.cart);
-});
+// document.addEventListener("quick-cart:open", function (evt) {
+//   console.log("Quick cart opened");
+//   console.log(evt.detail.cart);
+// });
 
 // This event fires whenever the quick cart is opened.
 // This event is exposed when the ajax cart is enabled.
-document.addEventListener("quick-cart:close", function () {
-  console.log("Quick cart closed");
-});
+// document.addEventListener("quick-cart:close", function () {
+//   console.log("Quick cart closed");
+// });
 
 // This event fires whenever a variant product is selected.
 // This event is exposed when a 'Variant selectors' block has been added to
 // a product template or featured product section
 // The selected variant object is passed within the detail object.
-document.addEventListener("product:variant-change", function (evt) {
-  console.log("Product variant changed");
-  console.log(evt.detail.variant);
-});
+// document.addEventListener("product:variant-change", function (evt) {
+//   console.log("Product variant changed");
+//   console.log(evt.detail.variant);
+// });
 
 // This event fires whenever a product quanatiy is updated.
 // This event is exposed when a 'Quantity selector' block has been added to
 // a product template or featured product section
 // The quantity and selected variant object is passed within the detail object.
-document.addEventListener("product:quantity-update", function (evt) {
-  console.log("Product quantity updated");
-  console.log(evt.detail.quantity, evt.detail.variant);
-});
+// document.addEventListener("product:quantity-update", function (evt) {
+//   console.log("Product quantity updated");
+//   console.log(evt.detail.quantity, evt.detail.variant);
+// });
+
+// These events fire whenever the quickview modal is opened or closed.
+// This event is exposed when the 'Enable quick view' feature is enabled.
+// document.addEventListener("quickview:open", function () {
+//   console.log("Quickview opened");
+// });
+
+// document.addEventListener("quickview:close", function () {
+//   console.log("Quickview closed");
+// });
 
-// This event fires whenever quickview modal is opened.
+// This event fires whenever the product in the quickview modal has loaded.
 // This event is exposed when the 'Enable quick view' feature is enabled
 // And a quick view modal is opened.
-document.addEventListener("quickview:loaded", function () {
-  console.log("Quickview loaded");
-});
+// document.addEventListener("quickview:loaded", function () {
+//   console.log("Quickview loaded");
+// });
+
+// This event fires whenever a product is added to or removed from favorites.
+// The favorite and the updated favorites list are passed within the detail object.
+// theme.events.on("favorites:*", function (payload, eventName) {
+//   console.log(eventName, payload.favoriteItem, payload.favorites);
+// });
+
+// This event fires once filtered collection or search results are rendered.
+// The source ('collection' or 'search'), search params and product count are passed.
+// theme.events.on("filters:updated", function (payload) {
+//   console.log("Filters updated", payload.source, payload.searchParams, payload.productCount);
+// });
+
+// This event fires once a country has been recommended for the visitor.
+// Also dispatched on `document` as "geolocation-recommendation".
+// theme.events.on("localization:recommendation", function (payload) {
+//   console.log("Recommended country", payload.recommendedCountry);
+// });
@@ -6,9 +6,11 @@ import '../scripts/utils/css-helpers.js';
 // Initialize theme object
 window.theme = window.theme || {};
 
+import '../scripts/utils/theme-events.js';
 import '../scripts/components/';
 import '../scripts/utils/helpers';
 import '../scripts/utils/localization-manager.js';
+import '../scripts/utils/bot-detector.js';
 import '../scripts/legacy/theme-new.js';
 import '../scripts/utils/hotfixes/jdgm-form.js';
 
@@ -0,0 +1,212 @@
+import Modal from './modal.js';
+import cartClient from '../utils/cart-client.js';
+
+const SHARE_PARAM = 'shared_cart';
+
+const SELECTORS = {
+    STATUS: '[data-share-cart-status]',
+    MERGE_BUTTON: '[data-restore-merge]',
+    REPLACE_BUTTON: '[data-restore-replace]',
+    ERROR: '[data-restore-error]'
+};
+
+/**
+ * Encodes cart lines into a URL safe string. Lines are stored as the `/cart/add.js` item payload,
+ * base64 encoded from UTF-8 so line properties such as engraving text survive.
+ *
+ * @param {Array<Object>} items - The cart JSON items.
+ * @returns {string} - The encoded lines.
+ */
+export function encodeCartLines(items) {
+    const lines = items.map((item) => {
+        const line = { id: item.variant_id, quantity: item.quantity };
+
+        if (item.properties && Object.keys(item.properties).length > 0) {
+            line.properties = item.properties;
+        }
+
+        if (item.selling_plan_allocation) {
+            line.selling_plan = item.selling_plan_allocation.selling_plan.id;
+        }
+
+        return line;
+    });
+
+    const bytes = new TextEncoder().encode(JSON.stringify(lines));
+    const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes lines encoded with `encodeCartLines`.
+ *
+ * @param {string} encoded - The encoded lines.
+ * @returns {Array<Object>|null} - The `/cart/add.js` items, or null if the value is malformed.
+ */
+export function decodeCartLines(encoded) {
+    try {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        const lines = JSON.parse(new TextDecoder().decode(bytes));
+
+        if (!Array.isArray(lines)) return null;
+
+        return lines.filter((line) => line.id && line.quantity > 0);
+    } catch (error) {
+        console.error('Could not decode shared cart', error);
+        return null;
+    }
+}
+
+/**
+ * Builds a permalink to the cart page that restores the current lines.
+ *
+ * @param {Object} cart - The cart JSON.
+ * @returns {string} - The shareable URL.
+ */
+export function getShareUrl(cart) {
+    const url = new URL(window.theme.routes.cart.base, window.location.origin);
+    url.searchParams.set(SHARE_PARAM, encodeCartLines(cart.items));
+
+    return url.toString();
+}
+
+/**
+ * Shares a permalink to the current cart, through the native share sheet where available and
+ * the clipboard otherwise.
+ * @class
+ * @extends HTMLElement
+ */
+class ShareCart extends HTMLElement {
+    constructor() {
+        super();
+    }
+
+    connectedCallback() {
+        this.button = this.querySelector('button');
+        this.statusEl = this.querySelector(SELECTORS.STATUS);
+
+        this.button.addEventListener('click', this.handleClick.bind(this));
+    }
+
+    async handleClick() {
+        this.button.disabled = true;
+
+        try {
+            const cart = await cartClient.settled();
+            const url = getShareUrl(cart);
+
+            if (navigator.share) {
+                await navigator.share({ url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                this.showStatus(this.dataset.copiedMessage);
+            }
+        } catch (error) {
+            // Closing the share sheet rejects with an AbortError, which needs no feedback
+            if (error.name !== 'AbortError') {
+                console.error('ShareCart: Could not share cart', error);
+                this.showStatus(this.dataset.errorMessage);
+            }
+        } finally {
+            this.button.disabled = false;
+        }
+    }
+
+    showStatus(message) {
+        if (!this.statusEl || !message) return;
+
+        this.statusEl.textContent = message;
+        this.statusEl.classList.remove('hidden');
+    }
+}
+
+customElements.define('share-cart', ShareCart);
+
+/**
+ * Rebuilds a shared cart when the page is opened from a cart permalink.
+ * Visitors with an empty cart get the shared lines straight away; otherwise the modal asks
+ * whether to merge the shared lines into their cart or replace it.
+ * @class
+ * @extends Modal
+ */
+class CartRestoreModal extends Modal {
+    constructor() {
+        super();
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+
+        this.errorEl = this.querySelector(SELECTORS.ERROR);
+
+        this.querySelector(SELECTORS.MERGE_BUTTON)?.addEventListener('click', () => this.restore(false));
+        this.querySelector(SELECTORS.REPLACE_BUTTON)?.addEventListener('click', () => this.restore(true));
+
+        this.init();
+    }
+
+    async init() {
+        const url = new URL(window.location.href);
+        const encoded = url.searchParams.get(SHARE_PARAM);
+
+        if (!encoded) return;
+
+        let cart;
+
+        try {
+            cart = await cartClient.settled();
+        } catch (error) {
+            // The parameter is kept, so reloading the page tries again
+            console.error('CartRestoreModal: Could not fetch cart', error);
+            return;
+        }
+
+        // Drop the parameter so reloading or re-rendering the section does not restore again
+        url.searchParams.delete(SHARE_PARAM);
+        window.history.replaceState(window.history.state, '', url.toString());
+
+        this.lines = decodeCartLines(encoded);
+
+        if (!this.lines?.length) return;
+
+        if (cart.item_count > 0) {
+            this.open();
+        } else {
+            this.restore(false, true);
+        }
+    }
+
+    /**
+     * Adds the shared lines to the cart. When replacing, the visitor's lines are only removed once the
+     * shared lines were added, and a failed replacement leaves their cart as it was.
+     *
+     * @param {boolean} replace - Whether the visitor's current lines are removed.
+     * @param {boolean} [automatic=false] - Whether the lines are restored without the visitor asking.
+     */
+    async restore(replace, automatic = false) {
+        this.errorEl?.classList.add('hidden');
+
+        try {
+            if (replace) {
+                await cartClient.replaceCart(this.lines);
+            } else {
+                await cartClient.add({ items: this.lines }, { automatic });
+            }
+
+            this.close();
+        } catch (error) {
+            console.error('CartRestoreModal: Could not restore cart', error);
+
+            if (this.errorEl) {
+                if (error.message) this.errorEl.textContent = error.message;
+                this.errorEl.classList.remove('hidden');
+            }
+
+            this.open();
+        }
+    }
+}
+
+customElements.define('cart-restore-modal', CartRestoreModal);
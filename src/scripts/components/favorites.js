@@ -1,4 +1,6 @@
 import { initLazyImages } from '../utils/helpers/lazy-media.js';
+import cartClient from '../utils/cart-client.js';
+import themeEvents from '../utils/theme-events.js';
 
 class FavoriteHandler {
     constructor() {
@@ -46,14 +48,10 @@ class FavoriteHandler {
         this.updateLocalStorage(this.favorites);
         this.updateDisplayCount();
 
-        document.dispatchEvent(
-            new CustomEvent('favorites:removed', {
-                detail: {
-                    favoriteItem: favoriteItem,
-                    favorites: this.favorites
-                }
-            })
-        );
+        themeEvents.emit('favorites:removed', {
+            favoriteItem: favoriteItem,
+            favorites: this.favorites
+        });
     }
 
     addFavorite(favoriteItem) {
@@ -62,14 +60,10 @@ class FavoriteHandler {
         this.updateLocalStorage(this.favorites);
         this.updateDisplayCount();
 
-        document.dispatchEvent(
-            new CustomEvent('favorites:added', {
-                detail: {
-                    favoriteItem: favoriteItem,
-                    favorites: this.favorites
-                }
-            })
-        );
+        themeEvents.emit('favorites:added', {
+            favoriteItem: favoriteItem,
+            favorites: this.favorites
+        });
     }
 
     updateDisplayCount() {
@@ -111,7 +105,7 @@ class FavoriteProducts extends HTMLElement {
         }
 
         if (this.dataset.hideOnRemoval === 'true') {
-            document.addEventListener('favorites:removed', this.handleFavoritesRemoved.bind(this));
+            themeEvents.on('favorites:removed', this.handleFavoritesRemoved.bind(this));
         }
     }
 
@@ -134,9 +128,27 @@ class FavoriteProducts extends HTMLElement {
         const doc = parser.parseFromString(productHTML, 'text/html');
         const favoritesResult = doc.querySelector('.product-item');
 
+        this.appendMoveToCart(favoritesResult, favorite);
+
         return favoritesResult;
     }
 
+    /**
+     * Appends a move-to-cart control, rendered from the section's template, to a product card.
+     *
+     * @param {HTMLElement} productCard - The fetched product card.
+     * @param {Object} favorite - The favorite the card was rendered for.
+     */
+    appendMoveToCart(productCard, favorite) {
+        const template = this.querySelector('[data-move-to-cart-template]');
+
+        if (!productCard || !template) return;
+
+        const moveToCart = template.content.firstElementChild.cloneNode(true);
+        moveToCart.favoriteItem = favorite;
+        productCard.appendChild(moveToCart);
+    }
+
     batchArray(arr, size) {
         const batchedArray = [];
         for (let i = 0; i < arr.length; i += size) {
@@ -173,12 +185,10 @@ class FavoriteProducts extends HTMLElement {
         this.spinner.classList.add('hidden');
     }
 
-    handleFavoritesRemoved(event) {
-        const { favoriteItem } = event.detail;
-
+    handleFavoritesRemoved({ favoriteItem }) {
         let selector = '';
 
-        if (event.detail.favoriteItem.variantId) {
+        if (favoriteItem.variantId) {
             selector = `add-favorite[data-variant-id="${favoriteItem.variantId}"]`;
         } else {
             selector = `add-favorite[data-product-handle="${favoriteItem.handle}"]`;
@@ -256,3 +266,159 @@ class AddFavorite extends HTMLElement {
 }
 
 customElements.define('add-favorite', AddFavorite);
+
+/**
+ * Saves a cart line for later: removes it through the cart client and stores it as a favorite,
+ * keeping line item properties such as engraving text.
+ * Expects to live inside a cart line (`[data-input-item]`) carrying `data-key`,
+ * `data-product-handle` and `data-variant-id`.
+ * @class
+ * @extends HTMLElement
+ */
+class SaveForLater extends HTMLElement {
+    constructor() {
+        super();
+    }
+
+    connectedCallback() {
+        this.addEventListener('click', this.handleClick.bind(this));
+    }
+
+    get favoriteItem() {
+        const line = this.closest('[data-input-item]');
+        const propertiesEl = line.querySelector('[data-item-properties]');
+
+        const favoriteItem = {
+            handle: line.dataset.productHandle,
+            variantId: line.dataset.variantId
+        };
+
+        if (propertiesEl) {
+            try {
+                const properties = JSON.parse(propertiesEl.textContent);
+
+                if (Object.keys(properties).length > 0) {
+                    favoriteItem.properties = properties;
+                }
+            } catch (error) {
+                console.error('SaveForLater: Could not parse line item properties', error);
+            }
+        }
+
+        return favoriteItem;
+    }
+
+    async handleClick() {
+        if (this.hasAttribute('loading')) return;
+
+        const { key } = this.closest('[data-input-item]').dataset;
+        const favoriteItem = this.favoriteItem;
+
+        this.setAttribute('loading', '');
+
+        try {
+            await cartClient.change(key, 0);
+
+            const isSaved = favoriteHandler.favorites.some(
+                (favorite) => JSON.stringify(favorite) === JSON.stringify(favoriteItem)
+            );
+
+            if (!isSaved) {
+                favoriteHandler.addFavorite(favoriteItem);
+            }
+        } catch (error) {
+            console.error('SaveForLater: Could not remove line from cart', error);
+        } finally {
+            this.removeAttribute('loading');
+        }
+    }
+}
+
+customElements.define('save-for-later', SaveForLater);
+
+/**
+ * Moves a favorite into the cart, with its saved line item properties, and removes it from favorites.
+ * Appended to cards in the favorite products grid, which sets `favoriteItem`.
+ * @class
+ * @extends HTMLElement
+ */
+class MoveToCart extends HTMLElement {
+    constructor() {
+        super();
+    }
+
+    connectedCallback() {
+        this.button = this.querySelector('button');
+        this.errorEl = this.querySelector('[data-move-to-cart-error]');
+        this.propertiesEl = this.querySelector('[data-move-to-cart-properties]');
+
+        this.button.addEventListener('click', this.handleClick.bind(this));
+        this.renderProperties();
+    }
+
+    renderProperties() {
+        const properties = this.favoriteItem?.properties;
+
+        if (!properties || !this.propertiesEl) return;
+
+        Object.entries(properties).forEach(([name, value]) => {
+            // Private properties (prefixed with an underscore) are never shown to customers
+            if (!value || name.startsWith('_')) return;
+
+            const propertyEl = document.createElement('p');
+            propertyEl.textContent = `${name}: ${value}`;
+            this.propertiesEl.appendChild(propertyEl);
+        });
+    }
+
+    /**
+     * Product level favorites have no variant, so the first available one is added.
+     *
+     * @returns {Promise<number|string|undefined>} - The variant ID to add.
+     */
+    async getVariantId() {
+        if (this.favoriteItem.variantId) return this.favoriteItem.variantId;
+
+        const product = await fetch(`${window.theme.routes.products}/${this.favoriteItem.handle}.js`).then(
+            (res) => res.json()
+        );
+        const variant = product.variants.find((v) => v.available) || product.variants[0];
+
+        return variant?.id;
+    }
+
+    async handleClick() {
+        if (this.button.disabled || !this.favoriteItem) return;
+
+        this.button.disabled = true;
+        this.errorEl?.classList.add('hidden');
+
+        try {
+            const variantId = await this.getVariantId();
+
+            await cartClient.add({
+                items: [
+                    {
+                        id: variantId,
+                        quantity: 1,
+                        properties: this.favoriteItem.properties || {}
+                    }
+                ]
+            });
+
+            favoriteHandler.removeFavorite(this.favoriteItem);
+            this.closest('.product-item')?.remove();
+        } catch (error) {
+            console.error('MoveToCart: Could not add favorite to cart', error);
+
+            if (this.errorEl) {
+                this.errorEl.textContent = error.message || this.errorEl.textContent;
+                this.errorEl.classList.remove('hidden');
+            }
+        } finally {
+            this.button.disabled = false;
+        }
+    }
+}
+
+customElements.define('move-to-cart', MoveToCart);
@@ -1,4 +1,5 @@
 import Modal from './modal.js';
+import themeEvents from '../utils/theme-events.js';
 import countries from 'i18n-iso-countries';
 import enCountryLocale from 'i18n-iso-countries/langs/en.json';
 
@@ -34,10 +35,7 @@ class GeolocationModal extends Modal {
 
         this.shopCountryRedirectOption = this.getCurrentRedirectOption();
 
-        document.addEventListener(
-            'geolocation-recommendation',
-            this.handleGeolocationRecommendation.bind(this)
-        );
+        themeEvents.on('localization:recommendation', this.handleGeolocationRecommendation.bind(this));
     }
 
     getGeolocationOptionData() {
@@ -191,10 +189,10 @@ class GeolocationModal extends Modal {
         return countries.getName(isoCode, 'en');
     }
 
-    handleGeolocationRecommendation(event) {
-        console.debug('[GeolocationModal] handleGeolocationRecommendation', event);
+    handleGeolocationRecommendation(recommendation) {
+        console.debug('[GeolocationModal] handleGeolocationRecommendation', recommendation);
 
-        this.recommendedCountry = event.detail.recommendedCountry;
+        this.recommendedCountry = recommendation.recommendedCountry;
 
         const redirectOption = this.getRedirectOption(this.recommendedCountry);
         console.debug('[GeolocationModal] redirectOption', redirectOption);
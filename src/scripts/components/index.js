@@ -6,3 +6,4 @@ import './expand-text.js';
 import './responsive-video.js';
 import './load-page-content.js';
 import './geolocation-modal.js';
+import './cart-share.js';
@@ -1,5 +1,6 @@
 import { initLazyImages } from '../utils/helpers/lazy-media.js';
 import { afterCallstack } from '../utils/utils.js';
+import themeEvents from '../utils/theme-events.js';
 
 //chrom console: -url:https://au.timeresistance.com/cdn/shopifycloud/shopify-xr-js/v1.0/shopify-xr.en.js -url:chrome-extension://hdokiejnpimakedhajhdlcegeplioahd/background-redux-new.js -url:https://au.timeresistance.com/cdn/shopifycloud/media-analytics/v0.1/analytics.js -runtime.lastError -ERR_BLOCKED
 class ReloadOnEvent extends HTMLElement {
@@ -11,12 +12,12 @@ class ReloadOnEvent extends HTMLElement {
 
     static registerSectionListener(sectionId, event, callback) {
         if (!this.sectionListeners[event]) {
-            const listener = document.addEventListener(event, (eventData) => {
-                this.handleEvent(event, eventData);
+            const unsubscribe = themeEvents.on(event, (payload) => {
+                this.handleEvent(event, payload);
             });
 
             this.sectionListeners[event] = {
-                listener,
+                unsubscribe,
                 sections: {}
             };
         }
@@ -30,13 +31,13 @@ class ReloadOnEvent extends HTMLElement {
         sectionListener.sections[sectionId].push(callback);
     }
 
-    static async handleEvent(event, eventData) {
+    static async handleEvent(event, payload) {
         const sectionIds = Object.keys(this.sectionListeners[event].sections);
 
         const url = new URL(window.location.href);
 
-        if (eventData?.detail?.variant) {
-            url.searchParams.set('variant', eventData.detail.variant.id);
+        if (payload?.variant) {
+            url.searchParams.set('variant', payload.variant.id);
         }
 
         url.searchParams.set('sections', sectionIds.join(','));
@@ -64,7 +65,7 @@ class ReloadOnEvent extends HTMLElement {
         delete sectionListener.sections[sectionId];
 
         if (Object.keys(sectionListener.sections).length === 0) {
-            document.removeEventListener(event, sectionListener.listener);
+            sectionListener.unsubscribe();
             delete this.sectionListeners[event];
         }
     }
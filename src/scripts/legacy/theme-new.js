@@ -1,5 +1,9 @@
 import { initLazyMedia, loadManualMedia } from '../utils/helpers/lazy-media.js';
 import Carousel from './components/carousel.js';
+import cartClient from '../utils/cart-client.js';
+import SectionRenderer from '../utils/section-renderer.js';
+import InfinitePager from '../utils/infinite-pager.js';
+import themeEvents from '../utils/theme-events.js';
 import {
     qs,
     qsa,
@@ -3984,15 +3988,6 @@ var sectionClasses = () => {
     listen(document, 'shopify:section:load', adjustClasses);
 };
 
-const dispatchCustomEvent = function (eventName) {
-    let data = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
-    const detail = {
-        detail: data
-    };
-    const event = new CustomEvent(eventName, data ? detail : null);
-    document.dispatchEvent(event);
-};
-
 /**
  * Returns a product JSON object when passed a product URL
  * @param {*} url
@@ -4406,22 +4401,9 @@ function setStorage(key, val) {
     return true;
 }
 
-var _window$flu$states$3;
-const routes = window.theme.routes.cart || {};
-const paths = {
-    base: ''.concat(routes.base || '/cart', '.js'),
-    add: ''.concat(routes.add || '/cart/add', '.js'),
-    change: ''.concat(routes.change || '/cart/change', '.js'),
-    clear: ''.concat(routes.clear || '/cart/clear', '.js'),
-    update: ''.concat(routes.update || '/cart/update', '.js')
-};
 const {
     strings: { cart: strings$6 }
 } = window.theme;
-const useCustomEvents$3 =
-    (_window$flu$states$3 = window.flu.states) === null || _window$flu$states$3 === void 0
-        ? void 0
-        : _window$flu$states$3.useCustomEvents;
 
 // Add a `sorted` key that orders line items
 // in the order the customer added them if possible
@@ -4436,54 +4418,130 @@ function sortCart(cart) {
     cart.sorted = cart.items;
     return cart;
 }
-function updateItem(key, quantity) {
-    return get().then((_ref) => {
-        let { items } = _ref;
-        for (let i = 0; i < items.length; i++) {
-            if (items[i].key === key) {
-                return changeItem(i + 1, key, quantity); // shopify cart is a 1-based index
-            }
-        }
+
+// All cart mutations go through the serialized cart client, which
+// emits a single update once its request queue has drained
+cartClient.on('updating', () => {
+    r$1('cart:updating');
+    themeEvents.emit('cart:updating');
+});
+cartClient.on('optimistic', (_ref) => {
+    let { cart, key } = _ref;
+    r$1('cart:optimistic', null, {
+        cart,
+        key
+    });
+});
+cartClient.on('updated', (_ref) => {
+    let { cart } = _ref;
+    syncAddonLines(cart);
+    r$1('cart:updated', {
+        cart: sortCart(cart)
     });
+    r$1('quick-cart:updated');
+    themeEvents.emit('cart:updated', {
+        cart
+    });
+});
+// Add-on fee lines share a `_bundle_id` property with the line they were added with,
+// and carry the custom option they were added for as `_bundle_addon`
+const bundleProperties = {
+    id: '_bundle_id',
+    addon: '_bundle_addon'
+};
+function getBundleId(line) {
+    return line.properties ? line.properties[bundleProperties.id] : null;
 }
-function changeItem(line, itemKey, quantity) {
-    return fetch(paths.change, {
-        method: 'POST',
-        credentials: 'include',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            line,
-            quantity
-        })
-    })
-        .then((res) => {
-            if (res.status == '422') {
-                const error = {
-                    code: 422,
-                    message: strings$6.quantityError
-                };
-                handleError(error, 'changeItem', itemKey);
-            } else {
-                return res.json();
-            }
+function isAddonLine(line) {
+    return Boolean(line.properties && line.properties[bundleProperties.addon]);
+}
+function getLinkedAddonLines(cart, key) {
+    const line = cart && cart.items.find((item) => item.key === key);
+    if (!line || !getBundleId(line) || isAddonLine(line)) return [];
+    return cart.items.filter((item) => isAddonLine(item) && getBundleId(item) === getBundleId(line));
+}
+
+// Fee lines left out of step by a failed change or a removal made elsewhere
+// are matched to their parent's quantity, or removed with it
+let lastAddonSync = null;
+function syncAddonLines(cart) {
+    const updates = {};
+    cart.items.filter(isAddonLine).forEach((line) => {
+        const parent = cart.items.find(
+            (item) => !isAddonLine(item) && getBundleId(item) === getBundleId(line)
+        );
+        const quantity = parent ? parent.quantity : 0;
+        if (line.quantity !== quantity) {
+            updates[line.key] = quantity;
+        }
+    });
+    const signature = JSON.stringify(updates);
+    if (!Object.keys(updates).length) {
+        lastAddonSync = null;
+        return;
+    }
+    // Don't retry an update that already failed, or each failure would trigger another update
+    if (signature === lastAddonSync) return;
+    lastAddonSync = signature;
+    cartClient
+        .update({
+            updates
         })
-        .then((cart) => {
-            r$1('cart:updated', {
-                cart
-            });
-            r$1('quick-cart:updated');
-            if (useCustomEvents$3) {
-                dispatchCustomEvent('cart:updated', {
-                    cart
-                });
-            }
-            return sortCart(cart);
-        });
+        .catch((error) => console.error('Could not sync add-on lines', error));
+}
+// Quantity rules of the variants in the rendered cart, keyed by variant id, see hydrateCart()
+const cartQuantityRules = {};
+
+// The explanation for the last corrected quantity, shown on its line until the next update
+let quantityNotice = null;
+function renderQuantityNotice(node) {
+    if (!quantityNotice) return;
+    const { key, message } = quantityNotice;
+    qsa('[data-input-item][data-key="'.concat(key, '"] [data-item-error]'), node).forEach((error) => {
+        error.textContent = message;
+        removeClass(error, 'hidden');
+    });
+}
+function updateItem(key, quantity) {
+    let qty = parseInt(quantity, 10);
+    const line = cartClient.cart && cartClient.cart.items.find((item) => item.key === key);
+    const rule = line && cartQuantityRules[line.variant_id];
+    quantityNotice = null;
+
+    // Removing a line is always allowed, other quantities are corrected to the variant's quantity rule
+    if (rule && qty !== 0) {
+        const corrected = applyQuantityRule(qty, rule);
+        qty = corrected.quantity;
+        quantityNotice = corrected.message
+            ? {
+                  key,
+                  message: corrected.message
+              }
+            : null;
+        renderQuantityNotice(document);
+    }
+
+    // Queued in the same drain as the parent's change, so the cart only updates once
+    getLinkedAddonLines(cartClient.cart, key).forEach((line) => {
+        cartClient.change(line.key, qty).catch(() => {});
+    });
+    return cartClient
+        .change(key, qty)
+        .then(sortCart)
+        .catch((error) =>
+            handleError(
+                {
+                    code: error.code,
+                    message: strings$6.quantityError,
+                    cart: error.cart
+                },
+                'changeItem',
+                key
+            )
+        );
 }
 function addItemById(id, quantity) {
-    r$1('cart:updating');
+    let properties = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
     let data = {
         items: [
             {
@@ -4492,106 +4550,146 @@ function addItemById(id, quantity) {
             }
         ]
     };
-    return fetch(paths.add, {
-        method: 'POST',
-        credentials: 'include',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(data)
-    })
-        .then((r) => r.json())
-        .then((res) => {
-            if (res.status == '422') {
-                const error = {
-                    code: 422,
-                    message: res.description
-                };
-                handleError(error, 'addItemById', id);
-            }
-            return get().then((cart) => {
-                r$1('quick-cart:updated');
-                r$1('cart:updated', {
-                    cart
-                });
-                if (useCustomEvents$3) {
-                    dispatchCustomEvent('cart:updated', {
-                        cart: sortCart(cart)
-                    });
-                }
-                return {
-                    res,
-                    cart
-                };
-            });
-        });
+    if (properties) {
+        data.items[0].properties = properties;
+    }
+    return cartClient
+        .add(data)
+        .catch((error) => handleError(error, 'addItemById', id))
+        .then((res) =>
+            settled().then((cart) => ({
+                res,
+                cart
+            }))
+        );
 }
 function get() {
-    return fetch(paths.base, {
-        method: 'GET',
-        credentials: 'include'
-    })
-        .then((res) => res.json())
-        .then((data) => {
-            const sortedData = sortCart(data);
-            return sortedData;
-        });
+    return cartClient.get().then(sortCart);
+}
+function settled() {
+    return cartClient.settled().then(sortCart);
+}
+// Custom options referencing a fee variant add it in the same request as the item, linked by `_bundle_id`
+function getAddonItems(form) {
+    return qsa('[data-addon-variant-id]', form)
+        .filter((input) => (input.type === 'checkbox' ? input.checked : input.value.trim()))
+        .map((input) => ({
+            id: parseInt(input.dataset.addonVariantId, 10),
+            label: input.dataset.addonLabel
+        }));
+}
+function serializeWithAddons(form, addons) {
+    const data = new FormData(form);
+    const bundleId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    const item = {
+        id: parseInt(data.get('id'), 10),
+        quantity: parseInt(data.get('quantity') || 1, 10),
+        properties: {
+            [bundleProperties.id]: bundleId
+        }
+    };
+    data.forEach((value, name) => {
+        const property = /^properties\[(.*)\]$/.exec(name);
+        if (property && typeof value === 'string' && value !== '') {
+            item.properties[property[1]] = value;
+        }
+    });
+    if (data.get('selling_plan')) {
+        item.selling_plan = parseInt(data.get('selling_plan'), 10);
+    }
+    return {
+        items: [
+            item,
+            ...addons.map((addon) => ({
+                id: addon.id,
+                quantity: item.quantity,
+                properties: {
+                    [bundleProperties.id]: bundleId,
+                    [bundleProperties.addon]: addon.label
+                }
+            }))
+        ]
+    };
 }
 function addItem(form) {
-    r$1('cart:updating');
-    return fetch(paths.add, {
-        method: 'POST',
-        credentials: 'include',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: serialize(form)
-    })
-        .then((r) => r.json())
+    const addons = getAddonItems(form);
+    const body = addons.length ? serializeWithAddons(form, addons) : serialize(form);
+    return cartClient
+        .add(body)
+        .catch((error) => handleError(error, 'addItem', null))
         .then((res) => {
-            if (res.status == '422') {
-                const error = {
-                    code: 422,
-                    message: res.description
-                };
-                handleError(error, 'addItem', null);
-            }
-            return get().then((cart) => {
-                const order = getStorage('cart_order') || [];
-                const newOrder = [res.variant_id, ...order.filter((i) => i !== res.variant_id)];
-                setStorage('cart_order', JSON.stringify(newOrder));
-                r$1('cart:updated', {
-                    cart: sortCart(cart)
-                });
-                r$1('quick-cart:updated');
+            // Adding with fees returns every added line, the form's item is the one that isn't a fee
+            const item = res.items ? res.items.find((line) => !isAddonLine(line)) : res;
+            // Record the order before the queue drains so the update is sorted
+            const order = getStorage('cart_order') || [];
+            const newOrder = [item.variant_id, ...order.filter((i) => i !== item.variant_id)];
+            setStorage('cart_order', JSON.stringify(newOrder));
+            return settled().then((cart) => {
                 r$1('quick-view:close');
-                if (useCustomEvents$3) {
-                    dispatchCustomEvent('cart:updated', {
-                        cart: sortCart(cart)
-                    });
-                }
                 return {
-                    item: res,
-                    cart: sortCart(cart)
+                    item,
+                    cart
                 };
             });
         });
 }
-function handleError(error, source, itemKeyOrId) {
-    if (useCustomEvents$3) {
-        dispatchCustomEvent('cart:error', {
-            errorMessage: error.message
+// Swap a line for another variant while keeping its place in `cart_order`
+function replaceItem(key, item, previousVariantId) {
+    return cartClient
+        .replace(key, item)
+        .catch((error) => handleError(error, 'replaceItem', key))
+        .then(() => {
+            const order = (getStorage('cart_order') || []).filter((i) => i !== item.id);
+            const index = order.indexOf(previousVariantId);
+            if (index > -1) {
+                order.splice(index, 1, item.id);
+            } else {
+                order.unshift(item.id);
+            }
+            setStorage('cart_order', JSON.stringify(order));
+            return settled();
         });
-    }
+}
+// Properties are replaced in place, so the line keeps its quantity and position
+function updateProperties(key, quantity, properties) {
+    return cartClient
+        .changeProperties(key, quantity, properties)
+        .then(sortCart)
+        .catch((error) => handleError(error, 'updateProperties', key));
+}
+// Attributes are merged into the existing ones, an empty value removes the attribute
+function updateAttributes(attributes) {
+    return cartClient
+        .update({
+            attributes
+        })
+        .then(sortCart)
+        .catch((error) => handleError(error, 'updateAttributes', null));
+}
+function handleError(error, source, itemKeyOrId) {
+    themeEvents.emit('cart:error', {
+        errorMessage: error.message
+    });
     if (source === 'changeItem') {
+        // `cart` is the rolled back cart when the change was applied optimistically
         r$1('quick-cart:error', null, {
             key: itemKeyOrId,
-            errorMessage: strings$6.quantityError
+            errorMessage: strings$6.quantityError,
+            cart: error.cart
         });
         r$1('cart:error', null, {
             key: itemKeyOrId,
-            errorMessage: strings$6.quantityError
+            errorMessage: strings$6.quantityError,
+            cart: error.cart
+        });
+    } else if (source === 'replaceItem' || source === 'updateProperties') {
+        r$1('quick-cart:error', null, {
+            key: itemKeyOrId,
+            errorMessage: error.message
+        });
+        r$1('cart:error', null, {
+            key: itemKeyOrId,
+            errorMessage: error.message
         });
     } else if (source === 'addItemById') {
         r$1('quick-add:error', null, {
@@ -4614,6 +4712,9 @@ function serialize(form) {
         if (!field.name || field.disabled || ['file', 'reset', 'submit', 'button'].indexOf(field.type) > -1) {
             return;
         }
+
+        // The bot detector's honeypot is only watched, never sent
+        if (field.closest('.bot-trap')) return;
         if (field.type === 'select-multiple') {
             Array.prototype.slice.call(field.options).forEach(function (option) {
                 if (!option.selected) return;
@@ -4632,7 +4733,10 @@ var cart = {
     addItem,
     get,
     updateItem,
-    addItemById
+    addItemById,
+    replaceItem,
+    updateProperties,
+    updateAttributes
 };
 
 /**
@@ -5184,7 +5288,9 @@ const selectors$V = {
     optionInput: '[name^="options"]',
     quantityInput: '[data-quantity-input]',
     formQuantity: '[name="quantity"]',
-    propertyInput: '[name^="properties"]'
+    propertyInput: '[name^="properties"]',
+    preorderInput: '[name="properties[_preorder]"]',
+    sellingPlanInput: '[name="selling_plan"]'
 };
 function ProductForm(container, form, prod) {
     let config = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
@@ -5211,16 +5317,26 @@ function ProductForm(container, form, prod) {
     const getQuantity = () => {
         return formQuantityInput[0] ? Number.parseInt(formQuantityInput[0].value, 10) : 1;
     };
+
+    // The selling plan input is disabled for a one-time purchase, so it isn't submitted
+    const getSellingPlanId = () => {
+        const sellingPlanInput = form.querySelector(selectors$V.sellingPlanInput);
+        return sellingPlanInput && !sellingPlanInput.disabled && sellingPlanInput.value
+            ? Number.parseInt(sellingPlanInput.value, 10)
+            : null;
+    };
     const getProductFormEventData = () => ({
         options: getOptions(),
         variant: getVariant(),
         properties: getProperties(),
-        quantity: getQuantity()
+        quantity: getQuantity(),
+        sellingPlanId: getSellingPlanId()
     });
     const onFormEvent = (cb) => {
         if (typeof cb === 'undefined') return;
         return (event) => {
             event.dataset = getProductFormEventData();
+            setPreorderInputValue(event.dataset.variant);
             cb(event);
         };
     };
@@ -5234,9 +5350,28 @@ function ProductForm(container, form, prod) {
         }
         idInputElement.value = value.toString();
     };
+
+    // Pre-order variants are added with a `_preorder` line property, holding the expected ship date
+    // or "true". Kept in sync on every change, as the sticky add to cart bar posts the form directly
+    const setPreorderInputValue = (variant) => {
+        const preorder = variant && config.preorders && config.preorders[variant.id];
+        let preorderInputElement = form.querySelector(selectors$V.preorderInput);
+        if (!preorder) {
+            preorderInputElement && preorderInputElement.remove();
+            return;
+        }
+        if (!preorderInputElement) {
+            preorderInputElement = document.createElement('input');
+            preorderInputElement.type = 'hidden';
+            preorderInputElement.name = 'properties[_preorder]';
+            form.appendChild(preorderInputElement);
+        }
+        preorderInputElement.value = preorder.ship_date || 'true';
+    };
     const onSubmit = (event) => {
         event.dataset = getProductFormEventData();
         setIdInputValue(event.dataset.variant.id);
+        setPreorderInputValue(event.dataset.variant);
         if (config.onFormSubmit) {
             config.onFormSubmit(event);
         }
@@ -5252,11 +5387,13 @@ function ProductForm(container, form, prod) {
     const optionInputs = initInputs(selectors$V.optionInput, config.onOptionChange);
     const formQuantityInput = initInputs(selectors$V.quantityInput, config.onQuantityChange);
     const propertyInputs = initInputs(selectors$V.propertyInput, config.onPropertyChange);
+    setPreorderInputValue(getVariant());
     const destroy = () => {
         listeners.forEach((unsubscribe) => unsubscribe());
     };
     return {
         getVariant,
+        getSellingPlanId,
         destroy
     };
 }
@@ -5341,33 +5478,116 @@ function provideResizeObserver() {
     return import(new URL(flu.chunks.polyfillResizeObserver, window.location.origin).href);
 }
 
+const {
+    strings: { products: strings$quantityRule }
+} = window.theme;
+
+/**
+ * Reads a variant's Shopify quantity rule from the min, max and step attributes of a quantity input.
+ * @param {HTMLInputElement} input The quantity input
+ * @returns {Object} `{ min, max, increment }`, with `max` null when there is no maximum
+ */
+function getQuantityRule(input) {
+    return {
+        min: parseInt(input.min, 10) || 1,
+        max: parseInt(input.max, 10) || null,
+        increment: parseInt(input.step, 10) || 1
+    };
+}
+function setQuantityRule(input, rule) {
+    input.min = rule.min;
+    input.step = rule.increment;
+    if (rule.max) {
+        input.max = rule.max;
+    } else {
+        input.removeAttribute('max');
+    }
+}
+
+/**
+ * Corrects a quantity to the closest one a quantity rule allows.
+ * @param {number} quantity The requested quantity
+ * @param {Object} rule The rule from `getQuantityRule`
+ * @returns {Object} `{ quantity, message }`, with the reason for a correction as message
+ */
+function applyQuantityRule(quantity, rule) {
+    const messages = strings$quantityRule.quantityRules;
+    const { min, max, increment } = rule;
+    const withCount = (message, count) => message.replace('{{ count }}', count);
+    if (!(quantity >= min)) {
+        return {
+            quantity: min,
+            message: withCount(messages.min, min)
+        };
+    }
+    if (max && quantity > max) {
+        return {
+            quantity: max,
+            message: withCount(messages.max, max)
+        };
+    }
+    if (quantity % increment) {
+        const rounded = Math.round(quantity / increment) * increment;
+        return {
+            quantity: Math.min(Math.max(rounded, min), max || rounded),
+            message: withCount(messages.increment, increment)
+        };
+    }
+    return {
+        quantity,
+        message: ''
+    };
+}
 function quantityInput(container) {
     const quantityWrapper = qs('.quantity-input', container);
     if (!quantityWrapper) return;
     const quantityInput = qs('[data-quantity-input]', quantityWrapper);
     const addQuantity = qs('[data-add-quantity]', quantityWrapper);
     const subtractQuantity = qs('[data-subtract-quantity]', quantityWrapper);
+    const ruleMessage = qs('[data-quantity-rule-message]', container);
+    let rule = getQuantityRule(quantityInput);
+    const setQuantity = (quantity) => {
+        const corrected = applyQuantityRule(quantity, rule);
+        if (ruleMessage) {
+            ruleMessage.textContent = corrected.message;
+            toggleClass(ruleMessage, 'hidden', !corrected.message);
+        }
+        if (parseInt(quantityInput.value) === corrected.quantity) return;
+        quantityInput.value = corrected.quantity;
+        quantityInput.dispatchEvent(new Event('change'));
+    };
     const handleAddQuantity = () => {
         const currentValue = parseInt(quantityInput.value);
-        const newValue = currentValue + 1;
-        quantityInput.value = newValue;
-        quantityInput.dispatchEvent(new Event('change'));
+        setQuantity(currentValue + rule.increment);
     };
     const handleSubtractQuantity = () => {
         const currentValue = parseInt(quantityInput.value);
-        if (currentValue === 1) return;
-        const newValue = currentValue - 1;
-        quantityInput.value = newValue;
-        quantityInput.dispatchEvent(new Event('change'));
+        if (currentValue <= rule.min) return;
+        setQuantity(currentValue - rule.increment);
+    };
+
+    // Typed quantities are corrected, the corrected value is dispatched as a new change
+    const handleChange = () => setQuantity(parseInt(quantityInput.value));
+
+    /**
+     * Applies the quantity rule of another variant, correcting the current quantity if needed.
+     * @param {Object} newRule The rule, as returned by `getQuantityRule`
+     */
+    const updateRule = (newRule) => {
+        rule = newRule;
+        setQuantityRule(quantityInput, rule);
+        setQuantity(parseInt(quantityInput.value));
     };
     const events = [
         listen(addQuantity, 'click', handleAddQuantity),
-        listen(subtractQuantity, 'click', handleSubtractQuantity)
+        listen(subtractQuantity, 'click', handleSubtractQuantity),
+        listen(quantityInput, 'change', handleChange)
     ];
     const unload = () => {
         events.forEach((unsubscribe) => unsubscribe());
     };
     return {
+        updateRule,
         unload
     };
 }
@@ -5523,7 +5743,21 @@ const selectors$R = {
     defaultProductContainer: '.product__top',
     quickProductContainer: '.quick-product'
 };
+function getSellingPlanAllocation(variant, sellingPlanId) {
+    return (variant.selling_plan_allocations || []).find(
+        (allocation) => allocation.selling_plan_id === sellingPlanId
+    );
+}
+
+/**
+ * Updates the displayed prices for the selected variant.
+ * @param {*} container The product section container
+ * @param {Object|null} variant The selected variant, null for an unavailable combination
+ * @param {Boolean} productTemplate Whether the container is a product page rather than a quick view
+ * @param {Number|null} sellingPlanId The selected selling plan, whose price replaces the variant's
+ */
 function updatePrices(container, variant, productTemplate) {
+    let sellingPlanId = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : null;
     const price = qsa(selectors$R.price, container);
     const comparePrice = qsa(selectors$R.comparePrice, container);
     const unavailableString = strings$5.product.unavailable;
@@ -5542,10 +5776,15 @@ function updatePrices(container, variant, productTemplate) {
     }
     const { zeroPriceDisplay, zeroPriceCustomContent, soldOutPriceDisplay, soldOutPriceCustomContent } =
         productContainer.dataset;
+
+    // A selling plan's allocation compares its price with the one-time purchase price
+    const allocation = sellingPlanId && getSellingPlanAllocation(variant, sellingPlanId);
+    const variantPrice = allocation ? allocation.price : variant.price;
+    const variantComparePrice = allocation ? allocation.compare_at_price : variant.compare_at_price;
     let priceContentType = 'price';
-    let priceContent = formatMoney(variant.price);
+    let priceContent = formatMoney(variantPrice);
     if (variant.available) {
-        if (variant.compare_at_price === null && variant.price === 0) {
+        if (variantComparePrice === null && variantPrice === 0) {
             if (zeroPriceDisplay === 'hide') {
                 priceContentType = 'hide';
                 priceContent = '';
@@ -5576,8 +5815,8 @@ function updatePrices(container, variant, productTemplate) {
     comparePrice.forEach(
         (el) =>
             (el.innerHTML =
-                variant.compare_at_price > variant.price && priceContentType === 'price'
-                    ? formatMoney(variant.compare_at_price)
+                variantComparePrice > variantPrice && priceContentType === 'price'
+                    ? formatMoney(variantComparePrice)
                     : '')
     );
 }
@@ -5605,20 +5844,74 @@ function updateSku(container, variant) {
 }
 
 function updateBuyButton(btn, variant) {
+    let preorders = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
     const text = qs('[data-add-to-cart-text]', btn);
-    const { langAvailable, langUnavailable, langSoldOut } = btn.dataset;
+    const { langAvailable, langUnavailable, langSoldOut, langPreorder } = btn.dataset;
     if (!variant) {
         btn.setAttribute('disabled', 'disabled');
         text.textContent = langUnavailable;
     } else if (variant.available) {
         btn.removeAttribute('disabled');
-        text.textContent = langAvailable;
+        text.textContent = preorders[variant.id] && langPreorder ? langPreorder : langAvailable;
     } else {
         btn.setAttribute('disabled', 'disabled');
         text.textContent = langSoldOut;
     }
 }
 
+/**
+ * Reads the pre-order variants rendered by the buy buttons block, keyed by variant id.
+ * Each is `null`, or `{ ship_date, message }` for a variant that's sold as a pre-order.
+ * @param {*} container The product section container
+ * @returns {Object}
+ */
+function getPreorderVariants(container) {
+    const preorderJson = qs('[data-product-preorder-json]', container);
+    return preorderJson ? JSON.parse(preorderJson.innerHTML) : {};
+}
+function updatePreorderMessage(container, variant, preorders) {
+    const messageElement = qs('[data-preorder-message]', container);
+    if (!messageElement) return;
+    const preorder = variant && preorders[variant.id];
+    messageElement.textContent = preorder ? preorder.message : '';
+    toggleClass(messageElement, 'hidden', !preorder);
+}
+
+/**
+ * Reads the quantity rules and volume price breaks rendered by the buy buttons block, keyed by
+ * variant id. Each is `{ rule, rule_summary, price_breaks }`, with formatted price breaks.
+ * @param {*} container The product section container
+ * @returns {Object}
+ */
+function getVolumePricing(container) {
+    const volumePricingJson = qs('[data-product-volume-pricing-json]', container);
+    return volumePricingJson ? JSON.parse(volumePricingJson.innerHTML) : {};
+}
+function updateVolumePricing(container, variant, volumePricing) {
+    const pricing = variant && volumePricing[variant.id];
+    const ruleSummary = qs('[data-quantity-rule-summary]', container);
+    const table = qs('[data-volume-pricing]', container);
+    if (ruleSummary) {
+        ruleSummary.textContent = pricing ? pricing.rule_summary : '';
+        toggleClass(ruleSummary, 'hidden', !pricing || !pricing.rule_summary);
+    }
+    if (table) {
+        const priceBreaks = pricing ? pricing.price_breaks : [];
+        const rows = qs('[data-volume-pricing-rows]', table);
+        rows.innerHTML = '';
+        priceBreaks.forEach((priceBreak) => {
+            const row = document.createElement('tr');
+            [priceBreak.quantity, priceBreak.price].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            rows.appendChild(row);
+        });
+        toggleClass(table, 'hidden', !priceBreaks.length);
+    }
+}
+
 const selectors$P = {
     accordionShell: '.accordion.product-reviews',
     accordionContent: '.accordion__content'
@@ -5773,6 +6066,297 @@ const inventoryCounter = (container, config) => {
     };
 };
 
+const selectors$quickAddPanel = {
+    trigger: '[data-quick-shop-trigger="quick-add-panel"]',
+    card: '.product-item, .product-card-mini',
+    media: '.product-item__media',
+    panel: '[data-quick-add-panel]',
+    close: '[data-quick-add-panel-close]',
+    optionGroup: '[data-option-index]',
+    optionGroupWithIndex: (index) => '[data-option-index="'.concat(index, '"]'),
+    optionValue: '[data-option-value]',
+    price: '[data-quick-add-panel-price]',
+    error: '[data-quick-add-panel-error]',
+    submit: '[data-quick-add-panel-submit]',
+    quickCart: '.quick-cart',
+    purchaseConfirmation: '.purchase-confirmation-popup'
+};
+const classes$quickAddPanel = {
+    active: 'active',
+    selected: 'selected',
+    disabled: 'disabled',
+    loading: 'loading',
+    hidden: 'hidden'
+};
+const {
+    icons: icons$quickAddPanel,
+    strings: { accessibility: strings$quickAddPanelAccessibility, products: strings$quickAddPanel }
+} = window.theme;
+
+/**
+ *  quickAddPanel
+    - Choose the options of a product with variants on its card and add it to the cart without leaving the page
+    - Required markup: a [data-quick-shop-trigger="quick-add-panel"] trigger with data-product-handle and
+      data-product-url, inside a .product-item or .product-card-mini card
+    - Optional data-preorders json on the trigger, the `_preorder` property of each pre-order variant by id
+    - Only rendered for products the card can add, products with custom options or gift cards use quick view
+      (see snippets/get-product-needs-form.liquid)
+    - The panel slides up over the product item media, or over the whole mini card
+  * @param {node} container section or grid holding the product cards
+  * @returns {unload} remove event listeners and close open panels
+ */
+function quickAddPanel(container) {
+    const triggers = qsa(selectors$quickAddPanel.trigger, container);
+    if (!triggers.length) return;
+    const products = {};
+    // Open panels and the trigger that opened them, to return focus on close
+    const openPanels = new Map();
+    // Cards whose product is still loading, as both of a card's triggers open the same panel
+    const pendingParents = new Set();
+    const quickCart = qs(selectors$quickAddPanel.quickCart, document);
+    const purchaseConfirmation = qs(selectors$quickAddPanel.purchaseConfirmation, document);
+    const delegate = new Delegate(container);
+    delegate.on('click', selectors$quickAddPanel.close, (_, target) =>
+        closePanel(target.closest(selectors$quickAddPanel.panel))
+    );
+    delegate.on('click', selectors$quickAddPanel.optionValue, (_, target) => selectValue(target));
+    delegate.on('click', selectors$quickAddPanel.submit, (_, target) =>
+        submit(target.closest(selectors$quickAddPanel.panel))
+    );
+    const events = [
+        listen(triggers, 'click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            togglePanel(e.currentTarget);
+        }),
+        c('quick-add:error', (_, _ref) => {
+            let { id, errorMessage } = _ref;
+            openPanels.forEach((_trigger, panel) => {
+                const { variant } = getSelectedVariant(panel);
+                if (variant && variant.id === id) renderError(panel, errorMessage);
+            });
+        })
+    ];
+    function getPanelParent(trigger) {
+        const card = trigger.closest(selectors$quickAddPanel.card);
+        return qs(selectors$quickAddPanel.media, card) || card;
+    }
+    function togglePanel(trigger) {
+        const panel = qs(selectors$quickAddPanel.panel, getPanelParent(trigger));
+        if (panel) {
+            closePanel(panel);
+        } else {
+            openPanel(trigger);
+        }
+    }
+    function openPanel(trigger) {
+        const { productHandle, productUrl } = trigger.dataset;
+        const parent = getPanelParent(trigger);
+        if (!productHandle || pendingParents.has(parent)) return;
+        pendingParents.add(parent);
+        addClass(trigger, classes$quickAddPanel.loading);
+        getProduct(productHandle)((product) => {
+            // Selling plans are chosen on the product page
+            if (product.requires_selling_plan) {
+                window.location = productUrl;
+                return;
+            }
+            products[productHandle] = product;
+            renderPanel(trigger, product);
+        }).then(() => {
+            pendingParents.delete(parent);
+            removeClass(trigger, classes$quickAddPanel.loading);
+        });
+    }
+    function closePanel(panel) {
+        const trigger = openPanels.get(panel);
+        openPanels.delete(panel);
+        panel.remove();
+        if (!trigger) return;
+        trigger.setAttribute('aria-expanded', false);
+        trigger.focus();
+    }
+    function renderPanel(trigger, product) {
+        // Start from the first variant that can be bought
+        const variant = product.variants.find((v) => v.available) || product.variants[0];
+        const panel = document.createElement('div');
+        panel.className = 'quick-add-panel';
+        panel.dataset.quickAddPanel = '';
+        panel.dataset.productHandle = product.handle;
+        panel.setAttribute('role', 'group');
+        panel.setAttribute('aria-label', product.title);
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'quick-add-panel__close';
+        closeButton.dataset.quickAddPanelClose = '';
+        closeButton.setAttribute('aria-label', strings$quickAddPanelAccessibility.close);
+        closeButton.innerHTML = icons$quickAddPanel.close;
+        panel.appendChild(closeButton);
+        product.options.forEach((option, index) => {
+            const group = document.createElement('div');
+            group.className = 'quick-add-panel__option';
+            group.dataset.optionIndex = 'option'.concat(index + 1);
+            group.setAttribute('role', 'group');
+            group.setAttribute('aria-label', option.name);
+            const name = document.createElement('p');
+            name.className = 'quick-add-panel__option-name fs-body-75';
+            name.setAttribute('aria-hidden', true);
+            name.textContent = option.name;
+            group.appendChild(name);
+            option.values.forEach((value) => {
+                const isSelected = variant.options[index] === value;
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'quick-add-panel__value fs-body-75';
+                chip.dataset.optionValue = value;
+                chip.textContent = value;
+                chip.setAttribute('aria-pressed', isSelected);
+                toggleClass(chip, classes$quickAddPanel.selected, isSelected);
+                group.appendChild(chip);
+            });
+            panel.appendChild(group);
+        });
+        const error = document.createElement('p');
+        error.className = 'quick-add-panel__error fs-body-75 hidden';
+        error.dataset.quickAddPanelError = '';
+        error.setAttribute('role', 'alert');
+        const footer = document.createElement('div');
+        footer.className = 'quick-add-panel__footer';
+        const price = document.createElement('span');
+        price.className = 'quick-add-panel__price fs-body-75';
+        price.dataset.quickAddPanelPrice = '';
+        const submitButton = document.createElement('button');
+        submitButton.type = 'button';
+        submitButton.className = 'btn btn--primary btn--x-small';
+        submitButton.dataset.quickAddPanelSubmit = '';
+        submitButton.innerHTML =
+            '<span></span><div class="btn__loading-wrap"><div class="btn__loading-bar"></div></div>';
+        footer.append(price, submitButton);
+        panel.append(error, footer);
+
+        // Stop escape here, shoppable cards close their whole hotspot card on it
+        panel.addEventListener('keydown', (e) => {
+            if (e.keyCode !== 27) return;
+            e.stopPropagation();
+            closePanel(panel);
+        });
+        getPanelParent(trigger).appendChild(panel);
+        openPanels.set(panel, trigger);
+        trigger.setAttribute('aria-expanded', true);
+        update(panel);
+        requestAnimationFrame(() => addClass(panel, classes$quickAddPanel.active));
+        qs(selectors$quickAddPanel.optionValue, panel).focus();
+    }
+    function selectValue(chip) {
+        const group = chip.closest(selectors$quickAddPanel.optionGroup);
+        qsa(selectors$quickAddPanel.optionValue, group).forEach((el) => {
+            removeClass(el, classes$quickAddPanel.selected);
+            el.setAttribute('aria-pressed', false);
+        });
+        addClass(chip, classes$quickAddPanel.selected);
+        chip.setAttribute('aria-pressed', true);
+        update(chip.closest(selectors$quickAddPanel.panel));
+    }
+    function getSelectedVariant(panel) {
+        const product = products[panel.dataset.productHandle];
+        const options = qsa(selectors$quickAddPanel.optionGroup, panel).map((group) => {
+            const selected = qs('.'.concat(classes$quickAddPanel.selected), group);
+            return selected ? selected.dataset.optionValue : null;
+        });
+        return {
+            product,
+            options,
+            variant: options.includes(null) ? null : getVariantFromOptionArray(product, options)
+        };
+    }
+
+    // Uses the same availability tree as the product page variant picker
+    function update(panel) {
+        const { product, options, variant } = getSelectedVariant(panel);
+        const currentlySelectedValues = options.map((value, index) => ({
+            value,
+            index: 'option'.concat(index + 1)
+        }));
+        const availableOptions = createAvailableOptionsTree(product.variants, currentlySelectedValues);
+        for (const [option, values] of Object.entries(availableOptions)) {
+            const group = qs(selectors$quickAddPanel.optionGroupWithIndex(option), panel);
+            if (!group) continue;
+            values.forEach((_ref2) => {
+                let { value, soldOut } = _ref2;
+                const chip = qsa(selectors$quickAddPanel.optionValue, group).find(
+                    (el) => el.dataset.optionValue === value
+                );
+                if (chip) toggleClass(chip, classes$quickAddPanel.disabled, soldOut);
+            });
+        }
+        const submitButton = qs(selectors$quickAddPanel.submit, panel);
+        let buttonText = strings$quickAddPanel.product.addToCart;
+        if (!variant) {
+            buttonText = strings$quickAddPanel.product.unavailable;
+        } else if (!variant.available) {
+            buttonText = strings$quickAddPanel.product.soldOut;
+        }
+        submitButton.disabled = !variant || !variant.available;
+        qs('span', submitButton).textContent = buttonText;
+        qs(selectors$quickAddPanel.price, panel).textContent = variant ? formatMoney(variant.price) : '';
+        renderError(panel, '');
+    }
+    function renderError(panel, errorMessage) {
+        const error = qs(selectors$quickAddPanel.error, panel);
+        error.textContent = errorMessage;
+        toggleClass(error, classes$quickAddPanel.hidden, !errorMessage);
+    }
+    function submit(panel) {
+        const { variant } = getSelectedVariant(panel);
+        const submitButton = qs(selectors$quickAddPanel.submit, panel);
+        if (!variant || !variant.available || hasClass(submitButton, classes$quickAddPanel.loading)) return;
+
+        // Added at the variant's minimum, and with the same `_preorder` property as the product form
+        const quantity = variant.quantity_rule ? applyQuantityRule(1, variant.quantity_rule).quantity : 1;
+        const preorders = JSON.parse(openPanels.get(panel).dataset.preorders || '{}');
+        const properties = preorders[variant.id]
+            ? {
+                  _preorder: preorders[variant.id]
+              }
+            : null;
+        addClass(submitButton, classes$quickAddPanel.loading);
+        cart.addItemById(variant.id, quantity, properties)
+            .then((_ref3) => {
+                let { res } = _ref3;
+
+                // Without quick cart and confirmation popup, the cart page confirms the add
+                if (!purchaseConfirmation && !quickCart) {
+                    window.location = window.theme.routes.cart.base;
+                    return;
+                }
+                closePanel(panel);
+                if (purchaseConfirmation) {
+                    r$1('confirmation-popup:open', null, {
+                        product: res.items[0]
+                    });
+                } else {
+                    // Need a delay to allow quick-cart to refresh
+                    setTimeout(() => {
+                        r$1('quick-cart:open');
+                    }, 300);
+                }
+            })
+            .catch(() => {
+                // Error is shown in the panel through `quick-add:error`
+                removeClass(submitButton, classes$quickAddPanel.loading);
+            });
+    }
+    const unload = () => {
+        delegate.off();
+        events.forEach((unsubscribe) => unsubscribe());
+        openPanels.forEach((_trigger, panel) => panel.remove());
+        openPanels.clear();
+    };
+    return {
+        unload
+    };
+}
+
 const selectors$N = {
     item: '.product-item',
     itemInner: '.product-item__inner',
@@ -5791,6 +6375,7 @@ function ProductItem(container) {
     const quickViewButtons = qsa(selectors$N.quickViewButton, container);
     const quickCart = qs(selectors$N.quickCart, document);
     const purchaseConfirmation = qs(selectors$N.purchaseConfirmation, document);
+    const panel = quickAddPanel(container);
     const events = [
         listen(quickAddButtons, 'click', (e) => {
             const buttonEl = e.currentTarget;
@@ -5810,7 +6395,6 @@ function ProductItem(container) {
                         product: res.items[0]
                     });
                 } else {
-                    r$1('quick-cart:updated');
                     // Need a delay to allow quick-cart to refresh
                     setTimeout(() => {
                         r$1('quick-cart:open');
@@ -5831,6 +6415,7 @@ function ProductItem(container) {
     ];
     const unload = () => {
         events.forEach((unsubscribe) => unsubscribe());
+        panel && panel.unload();
     };
     return {
         unload
@@ -5944,6 +6529,64 @@ const selectors$K = {
         ''.concat(selectors$K.buttonWrap, '[data-option-value="').concat(value, '"]')
 };
 
+// Create a list of all options. If any variant exists and is in stock with that option, it's considered available
+function createAvailableOptionsTree(variants, currentlySelectedValues) {
+    // Reduce variant array into option availability tree
+    return variants.reduce(
+        (options, variant) => {
+            // Check each option group (e.g. option1, option2, option3) of the variant
+            Object.keys(options).forEach((index) => {
+                if (variant[index] === null) return;
+                let entry = options[index].find((option) => option.value === variant[index]);
+                if (typeof entry === 'undefined') {
+                    // If option has yet to be added to the options tree, add it
+                    entry = {
+                        value: variant[index],
+                        soldOut: true
+                    };
+                    options[index].push(entry);
+                }
+                const currentOption1 = currentlySelectedValues.find((_ref) => {
+                    let { index } = _ref;
+                    return index === 'option1';
+                });
+                const currentOption2 = currentlySelectedValues.find((_ref2) => {
+                    let { index } = _ref2;
+                    return index === 'option2';
+                });
+                switch (index) {
+                    case 'option1':
+                        // Option1 inputs should always remain enabled based on all available variants
+                        entry.soldOut = entry.soldOut && variant.available ? false : entry.soldOut;
+                        break;
+                    case 'option2':
+                        // Option2 inputs should remain enabled based on available variants that match first option group
+                        if (currentOption1 && variant.option1 === currentOption1.value) {
+                            entry.soldOut = entry.soldOut && variant.available ? false : entry.soldOut;
+                        }
+                        break;
+                    case 'option3':
+                        // Option 3 inputs should remain enabled based on available variants that match first and second option group
+                        if (
+                            currentOption1 &&
+                            variant.option1 === currentOption1.value &&
+                            currentOption2 &&
+                            variant.option2 === currentOption2.value
+                        ) {
+                            entry.soldOut = entry.soldOut && variant.available ? false : entry.soldOut;
+                        }
+                }
+            });
+            return options;
+        },
+        {
+            option1: [],
+            option2: [],
+            option3: []
+        }
+    );
+}
+
 /**
  *  VariantAvailability
     - Cross out sold out or unavailable variants
@@ -5993,63 +6636,6 @@ function variantAvailability(container) {
         }
     }
 
-    // Create a list of all options. If any variant exists and is in stock with that option, it's considered available
-    function createAvailableOptionsTree(variants, currentlySelectedValues) {
-        // Reduce variant array into option availability tree
-        return variants.reduce(
-            (options, variant) => {
-                // Check each option group (e.g. option1, option2, option3) of the variant
-                Object.keys(options).forEach((index) => {
-                    if (variant[index] === null) return;
-                    let entry = options[index].find((option) => option.value === variant[index]);
-                    if (typeof entry === 'undefined') {
-                        // If option has yet to be added to the options tree, add it
-                        entry = {
-                            value: variant[index],
-                            soldOut: true
-                        };
-                        options[index].push(entry);
-                    }
-                    const currentOption1 = currentlySelectedValues.find((_ref) => {
-                        let { index } = _ref;
-                        return index === 'option1';
-                    });
-                    const currentOption2 = currentlySelectedValues.find((_ref2) => {
-                        let { index } = _ref2;
-                        return index === 'option2';
-                    });
-                    switch (index) {
-                        case 'option1':
-                            // Option1 inputs should always remain enabled based on all available variants
-                            entry.soldOut = entry.soldOut && variant.available ? false : entry.soldOut;
-                            break;
-                        case 'option2':
-                            // Option2 inputs should remain enabled based on available variants that match first option group
-                            if (currentOption1 && variant.option1 === currentOption1.value) {
-                                entry.soldOut = entry.soldOut && variant.available ? false : entry.soldOut;
-                            }
-                            break;
-                        case 'option3':
-                            // Option 3 inputs should remain enabled based on available variants that match first and second option group
-                            if (
-                                currentOption1 &&
-                                variant.option1 === currentOption1.value &&
-                                currentOption2 &&
-                                variant.option2 === currentOption2.value
-                            ) {
-                                entry.soldOut = entry.soldOut && variant.available ? false : entry.soldOut;
-                            }
-                    }
-                });
-                return options;
-            },
-            {
-                option1: [],
-                option2: [],
-                option3: []
-            }
-        );
-    }
     function handleChange() {
         const currentlySelectedValues = variantSelectors.map((el) => {
             return {
@@ -6147,6 +6733,158 @@ function siblingProducts(container) {
     };
 }
 
+const selectors$siblingLoader = {
+    siblingSwatch: '[data-sibling-swatch]',
+    optionInput: '[name^="options"]',
+    stickyAtcBar: '.sticky-atc-bar'
+};
+const stickyAtcBarSectionId = 'sticky-atc-bar';
+
+/**
+ * Loads sibling products in place of the main product, instead of navigating to their page.
+ * The section and the sticky add to cart bar are fetched with the section rendering API, selecting the
+ * variant that keeps the current options the sibling also has. The URL and title are updated with
+ * `history.pushState`, and going back or forward loads the product of the new URL.
+ * @param {*} container The product section container
+ * @param {Object} config `onBeforeRender` and `onRender` are called before and after the content is swapped
+ */
+function siblingProductLoader(container) {
+    let config = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    const { sectionId } = container.dataset;
+    const delegate = new Delegate(container);
+    let currentPath = window.location.pathname;
+    let request = null;
+    delegate.on('click', selectors$siblingLoader.siblingSwatch, handleClick);
+    window.addEventListener('popstate', onPopstate);
+    function handleClick(e, target) {
+        // Let the browser open siblings in a new tab or window
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+        e.preventDefault();
+        if (target.pathname === currentPath) return;
+        const url = new URL(target.href);
+        const token = startRequest();
+        getSiblingVariant(url.pathname).then((variant) => {
+            // A newer sibling was selected while finding the variant
+            if (token !== request) return;
+            if (variant) {
+                url.searchParams.set('variant', variant.id);
+            }
+            load(url, true, token);
+        });
+    }
+    function onPopstate() {
+        // Hash changes, filters and quick views keep the path, only other products are loaded
+        if (window.location.pathname === currentPath || isQuickViewHistoryChange()) return;
+        load(new URL(window.location.href), false, startRequest());
+    }
+
+    // Every selection takes a token, responses for an older one are dropped
+    function startRequest() {
+        request = {};
+        return request;
+    }
+
+    // The selected options of the current product, by option name
+    function getSelectedOptions() {
+        return qsa(selectors$siblingLoader.optionInput, container).reduce((options, input) => {
+            if (input.type !== 'radio' || input.checked) {
+                options[/^options\[(.*)\]$/.exec(input.name)[1]] = input.value;
+            }
+            return options;
+        }, {});
+    }
+
+    /**
+     * Finds the sibling's variant that keeps the selected options the sibling also has, available first.
+     * @param {String} path The sibling's product path
+     * @returns {Promise<Object|undefined>}
+     */
+    function getSiblingVariant(path) {
+        const selectedOptions = getSelectedOptions();
+        return fetch(''.concat(path, '.js'))
+            .then((response) => response.json())
+            .then((product) => {
+                const keptOptions = product.options.filter(
+                    (option) => option.values.indexOf(selectedOptions[option.name]) > -1
+                );
+                const matches = product.variants.filter((variant) =>
+                    keptOptions.every(
+                        (option) => variant.options[option.position - 1] === selectedOptions[option.name]
+                    )
+                );
+                return matches.find((variant) => variant.available) || matches[0];
+            })
+            .catch(() => undefined);
+    }
+    function load(url, push, token) {
+        const requestUrl = new URL(url);
+        requestUrl.searchParams.set('sections', [sectionId, stickyAtcBarSectionId].join(','));
+        container.setAttribute('aria-busy', true);
+        fetch(requestUrl)
+            .then((response) => response.json())
+            .then((sections) => {
+                // A newer sibling was selected while loading
+                if (token !== request) return;
+                render(sections);
+                if (push) {
+                    window.history.pushState(
+                        {
+                            path: url.href
+                        },
+                        '',
+                        url.href
+                    );
+                }
+                currentPath = url.pathname;
+            })
+            .catch(() => {
+                if (token !== request) return;
+
+                // The sibling may use a template without this section
+                window.location.href = url.href;
+            })
+            .finally(() => {
+                if (token === request) {
+                    container.removeAttribute('aria-busy');
+                }
+            });
+    }
+    function render(sections) {
+        const doc = new DOMParser().parseFromString(sections[sectionId], 'text/html');
+        const section = qs('[data-section-id="'.concat(sectionId, '"]'), doc);
+        if (!section) {
+            throw new Error('Section '.concat(sectionId, ' was not rendered'));
+        }
+        const stickyAtcBar = qs(selectors$siblingLoader.stickyAtcBar, document);
+        const newStickyAtcBar =
+            sections[stickyAtcBarSectionId] &&
+            qs(
+                selectors$siblingLoader.stickyAtcBar,
+                new DOMParser().parseFromString(sections[stickyAtcBarSectionId], 'text/html')
+            );
+        const previousTitle = container.dataset.pageTitle;
+        config.onBeforeRender && config.onBeforeRender();
+
+        // Classes are kept, as they hold the section's animation state
+        [...section.attributes]
+            .filter((attribute) => attribute.name !== 'class')
+            .forEach((attribute) => container.setAttribute(attribute.name, attribute.value));
+        container.innerHTML = section.innerHTML;
+        stickyAtcBar && newStickyAtcBar && stickyAtcBar.replaceWith(newStickyAtcBar);
+        if (previousTitle) {
+            document.title = document.title.replace(previousTitle, container.dataset.pageTitle);
+        }
+        config.onRender && config.onRender();
+    }
+    const unload = () => {
+        delegate.off();
+        window.removeEventListener('popstate', onPopstate);
+    };
+    return {
+        unload
+    };
+}
+
 function giftCardRecipient(container) {
     const displayRecipientFormContainer = qs(
         ".product-form__gift-card-recipient[data-source='product-display']",
@@ -6267,6 +7005,7 @@ function giftCardRecipient(container) {
 }
 
 function stickyAtcBar(container) {
+    let config = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
     const classes = {
         hidden: 'hidden'
     };
@@ -6275,6 +7014,7 @@ function stickyAtcBar(container) {
         changeOptionButton: '[data-change-option-trigger]',
         imageWrap: '.product__media',
         optionValues: '.sticky-atc-bar__meta-options',
+        sellingPlanName: '[data-selling-plan-name]',
         pageFooter: 'footer',
         stickyAtcBar: '.sticky-atc-bar',
         variantSelector: '.product__variants-wrapper',
@@ -6293,6 +7033,7 @@ function stickyAtcBar(container) {
     if (elements.stickyAtcBar == null) return;
     elements.imageWrap = qs(selectors.imageWrap, elements.stickyAtcBar);
     elements.optionValues = qs(selectors.optionValues, elements.stickyAtcBar);
+    elements.sellingPlanName = qs(selectors.sellingPlanName, elements.stickyAtcBar);
     elements.changeOptionButton = qs(selectors.changeOptionButton, elements.stickyAtcBar);
     const events = [];
     if (elements.changeOptionButton) {
@@ -6356,6 +7097,9 @@ function stickyAtcBar(container) {
         console.log('submit sticky atc bar', e);
         e.preventDefault();
 
+        // The bar submits the main form, so its custom options must be valid first
+        if (config.beforeSubmit && !config.beforeSubmit()) return;
+
         // Check for purchase confirmation popup and quick cart
         const purchaseConfirmation = qs('[data-purchase-confirmation-popup]', document);
         const quickCart = qs('[data-quick-cart]', document);
@@ -6384,7 +7128,6 @@ function stickyAtcBar(container) {
                         product: item
                     });
                 } else {
-                    r$1('quick-cart:updated');
                     // Need a delay to allow quick-cart to refresh
                     setTimeout(() => {
                         r$1('quick-cart:open');
@@ -6443,6 +7186,11 @@ function stickyAtcBar(container) {
         const optionValueString = variant.options.join(', ');
         elements.optionValues.textContent = optionValueString;
     };
+    const updateSellingPlan = (sellingPlan) => {
+        if (!elements.sellingPlanName) return;
+        elements.sellingPlanName.textContent = sellingPlan ? sellingPlan.name : '';
+        toggleClass(elements.sellingPlanName, classes.hidden, !sellingPlan);
+    };
     const unload = () => {
         var _widthWatcher2;
         buyButtonsObserver === null || buyButtonsObserver === void 0 || buyButtonsObserver.disconnect();
@@ -6454,7 +7202,11 @@ function stickyAtcBar(container) {
         switchCurrentImage,
         unload,
         updateOptionValues,
-        buyButtons: elements.buyButtons
+        updateSellingPlan,
+        element: elements.stickyAtcBar,
+        buyButtons: elements.buyButtons,
+        formElement: elements.formElement,
+        submitButton: elements.submitButton
     };
 }
 
@@ -6805,39 +7557,627 @@ const updateRecentProducts = (productHandle) => {
         ls.set(recentlyViewed);
     }
 };
-const getRecentProducts = () => ls.get();
+const getRecentProducts = () => ls.get();
+
+const storeAvailability = (container, product, variant) => {
+    const update = (variant) => {
+        container.innerHTML = '';
+        if (!variant) return;
+        const variantSectionUrl = ''
+            .concat(container.dataset.baseUrl, '/variants/')
+            .concat(variant.id, '/?section_id=store-availability');
+        makeRequest('GET', variantSectionUrl).then((storeAvailabilityHTML) => {
+            if (storeAvailabilityHTML.trim() === '') return;
+
+            // Remove section wrapper that throws nested sections error
+            container.innerHTML = storeAvailabilityHTML.trim();
+            container.innerHTML = container.firstElementChild.innerHTML;
+            container.setAttribute('data-variant-id', variant.id);
+            container.setAttribute('data-product-title', product.title);
+            container.setAttribute('data-variant-title', variant.public_title);
+        });
+    };
+
+    // Intialize
+    update(variant);
+    const unload = () => {
+        container.innerHTML = '';
+    };
+    return {
+        unload,
+        update
+    };
+};
+
+const {
+    strings: { products: strings$customOption }
+} = window.theme;
+const selectors$customOptionValidation = {
+    option: '[data-custom-option-label]',
+    input: '[data-custom-option-input]',
+    error: '[data-custom-option-error]',
+    blockedButtons: '[data-add-to-cart], .shopify-payment-button'
+};
+const classes$customOptionValidation = {
+    hidden: 'hidden',
+    disabled: 'disabled'
+};
+const allowedCharacters = {
+    no_emoji: (value) => !/\p{Extended_Pictographic}/u.test(value),
+    letters_numbers_punctuation: (value) => /^[\p{L}\p{M}\p{N}\p{P}\s]*$/u.test(value),
+    letters_numbers: (value) => /^[\p{L}\p{M}\p{N}\s]*$/u.test(value),
+    letters: (value) => /^[\p{L}\p{M}\s]*$/u.test(value)
+};
+
+// Rules are read from the data attributes of a custom option block
+function getCustomOptionRules(option) {
+    const { required, minLength, maxLength, maxLines, allowedCharacters, uppercaseOnly } = option.dataset;
+    return {
+        required: required !== undefined,
+        minLength: parseInt(minLength, 10) || 0,
+        maxLength: parseInt(maxLength, 10) || 0,
+        maxLines: parseInt(maxLines, 10) || 0,
+        allowedCharacters,
+        uppercaseOnly: uppercaseOnly !== undefined
+    };
+}
+
+/**
+ * Returns the first broken rule's message for a custom option value, or an empty string.
+ * @param {Object} rules The rules from `getCustomOptionRules`
+ * @param {string} value The option value
+ * @returns {string}
+ */
+function getCustomOptionError(rules, value) {
+    const errors = strings$customOption.customOptionErrors;
+    // Counted by code point, so an accented letter or symbol is one character
+    const length = [...value.trim()].length;
+    const withCount = (message, count) => message.replace('{{ count }}', count);
+    if (!length) {
+        return rules.required ? errors.required : '';
+    }
+    if (rules.minLength && length < rules.minLength) {
+        return withCount(errors.minLength, rules.minLength);
+    }
+    if (rules.maxLength && length > rules.maxLength) {
+        return withCount(errors.maxLength, rules.maxLength);
+    }
+    if (rules.maxLines && value.trim().split(/\r?\n/).length > rules.maxLines) {
+        return withCount(errors.maxLines, rules.maxLines);
+    }
+    const isAllowed = allowedCharacters[rules.allowedCharacters];
+    if (isAllowed && !isAllowed(value)) {
+        return errors.characters;
+    }
+    if (rules.uppercaseOnly && value !== value.toUpperCase()) {
+        return errors.uppercase;
+    }
+    return '';
+}
+
+/**
+ * Validates custom option blocks against the rules set on the block: required, min and max
+ * length, allowed characters, uppercase only and max lines. Add to cart stays blocked while an
+ * option is invalid; errors show once an option has been changed or an add was attempted.
+ * @param {*} container The product section container
+ * @param {Array} extraButtons Buttons outside the container that submit the same form
+ */
+function customOptionValidation(container) {
+    let extraButtons = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+    const options = qsa(selectors$customOptionValidation.option, container).filter((option) =>
+        Object.values(getCustomOptionRules(option)).some(Boolean)
+    );
+    if (!options.length) return;
+    const touched = new Set();
+    const delegate = new Delegate(container);
+    delegate.on('input', selectors$customOptionValidation.input, (_, target) => {
+        const option = target.closest(selectors$customOptionValidation.option);
+        touched.has(option) && renderError(option);
+        updateButtons();
+    });
+    delegate.on('change', selectors$customOptionValidation.input, (_, target) => {
+        const option = target.closest(selectors$customOptionValidation.option);
+        touched.add(option);
+        renderError(option);
+        updateButtons();
+    });
+
+    // Captured on the container, so blocked adds never reach ProductForm or the buttons' own listeners
+    const handleBlockedEvent = (e) => {
+        if (e.type === 'click' && !e.target.closest(selectors$customOptionValidation.blockedButtons)) return;
+        if (validate()) return;
+        e.preventDefault();
+        e.stopPropagation();
+    };
+    container.addEventListener('click', handleBlockedEvent, true);
+    container.addEventListener('submit', handleBlockedEvent, true);
+    function getValue(option) {
+        const input = qsa(selectors$customOptionValidation.input, option).find(
+            (element) => !['radio', 'checkbox'].includes(element.type) || element.checked
+        );
+        return input ? input.value : '';
+    }
+    function getError(option) {
+        return getCustomOptionError(getCustomOptionRules(option), getValue(option));
+    }
+    function renderError(option) {
+        const error = getError(option);
+        const errorElement = qs(selectors$customOptionValidation.error, option);
+        const input = qs(selectors$customOptionValidation.input, option);
+        if (errorElement) {
+            errorElement.textContent = error;
+            toggleClass(errorElement, classes$customOptionValidation.hidden, !error);
+        }
+        if (input) {
+            if (error) {
+                input.setAttribute('aria-invalid', true);
+                errorElement && input.setAttribute('aria-describedby', errorElement.id);
+            } else {
+                input.removeAttribute('aria-invalid');
+                input.removeAttribute('aria-describedby');
+            }
+        }
+        return error;
+    }
+    function isValid() {
+        return options.every((option) => !getError(option));
+    }
+    function updateButtons() {
+        const valid = isValid();
+        qsa(selectors$customOptionValidation.blockedButtons, container)
+            .concat(extraButtons)
+            .forEach((button) => {
+                toggleClass(button, classes$customOptionValidation.disabled, !valid);
+                button.setAttribute('aria-disabled', !valid || button.hasAttribute('disabled'));
+            });
+    }
+
+    /**
+     * Shows every error and focuses the first invalid option.
+     * @returns {boolean} Whether all options are valid
+     */
+    function validate() {
+        const invalid = options.filter((option) => {
+            touched.add(option);
+            return renderError(option);
+        });
+        updateButtons();
+        if (!invalid.length) return true;
+        const input = qs(selectors$customOptionValidation.input, invalid[0]);
+        input && input.focus();
+        return false;
+    }
+    updateButtons();
+    const unload = () => {
+        delegate.off();
+        container.removeEventListener('click', handleBlockedEvent, true);
+        container.removeEventListener('submit', handleBlockedEvent, true);
+    };
+    return {
+        isValid,
+        validate,
+        updateButtons,
+        unload
+    };
+}
+
+const selectors$engravingPreview = {
+    config: '[data-engraving-preview-config]',
+    customOption: '[data-custom-option-label]',
+    customOptionInput: '[data-custom-option-input]',
+    mediaWrapper: '.product__media-container [data-product-media-wrapper]',
+    preview: '[data-engraving-preview]'
+};
+const classes$engravingPreview = {
+    preview: 'engraving-preview',
+    text: 'engraving-preview__text',
+    hidden: 'hidden'
+};
+
+/**
+ * Live preview of engraving and monogram custom options, drawn over the product media.
+ * Configured per product by the `custom.engraving_preview` JSON metafield:
+ *
+ *  {
+ *    "text_option": "Engraving",       label of the text custom option
+ *    "font_option": "Font",            optional, label of a list custom option
+ *    "color_option": "Colour",         optional, label of a list custom option
+ *    "placement_option": "Placement",  optional, label of a list custom option
+ *    "fonts": { "Classic": "Georgia, serif" },
+ *    "colors": { "Gold": "#c9a74d" },
+ *    "font": "Georgia, serif",         fallback font family
+ *    "color": "#1a1a1a",               fallback colour
+ *    "uppercase": false,
+ *    "zones": [
+ *      { "placement": "Front", "media": [31234], "x": 50, "y": 60, "width": 40, "font_size": 8, "rotate": 0 }
+ *    ]
+ *  }
+ *
+ * Zone positions are percentages of the image, with `x` and `y` the centre of the text and
+ * `font_size` relative to the image width. Zones without `media` apply to the featured image
+ * of the selected variant, zones without `placement` apply to every placement.
+ * @param {*} container The product section container
+ */
+function engravingPreview(container) {
+    const configElement = qs(selectors$engravingPreview.config, container);
+    if (!configElement) return;
+    let config;
+    try {
+        config = JSON.parse(configElement.innerHTML);
+    } catch (error) {
+        console.error('engravingPreview: Invalid engraving preview configuration', error);
+        return;
+    }
+    if (!config || !config.text_option || !Array.isArray(config.zones)) return;
+    let featuredMediaId = container.dataset.initialMediaId;
+    const delegate = new Delegate(container);
+    delegate.on('input', selectors$engravingPreview.customOptionInput, () => update());
+    delegate.on('change', selectors$engravingPreview.customOptionInput, () => update());
+
+    // Reads a custom option by its label, inputs are matched outside the form as the
+    // hidden form fields are only synced on change
+    function getOptionValue(label) {
+        if (!label) return '';
+        const option = qsa(selectors$engravingPreview.customOption, container).find(
+            (element) => element.dataset.customOptionLabel === label
+        );
+        if (!option) return '';
+        const input = qsa(selectors$engravingPreview.customOptionInput, option).find(
+            (element) => !['radio', 'checkbox'].includes(element.type) || element.checked
+        );
+        return input ? input.value.trim() : '';
+    }
+    function getZone(mediaId, placement) {
+        return config.zones.find((zone) => {
+            const matchesPlacement = !zone.placement || !placement || zone.placement === placement;
+            const matchesMedia = zone.media
+                ? zone.media.map(String).includes(mediaId)
+                : mediaId === String(featuredMediaId);
+            return matchesPlacement && matchesMedia;
+        });
+    }
+    function getPreview(wrapper) {
+        let preview = qs(selectors$engravingPreview.preview, wrapper);
+        if (!preview) {
+            preview = document.createElement('div');
+            preview.className = classes$engravingPreview.preview;
+            preview.setAttribute('data-engraving-preview', '');
+            preview.setAttribute('aria-hidden', 'true');
+            preview.innerHTML = '<span class="'.concat(classes$engravingPreview.text, '"></span>');
+            wrapper.appendChild(preview);
+        }
+        return preview;
+    }
+    function renderPreview(wrapper, text, style) {
+        const zone = text && getZone(wrapper.dataset.mediaItemId, style.placement);
+        const existing = qs(selectors$engravingPreview.preview, wrapper);
+        if (!zone) {
+            existing && addClass(existing, classes$engravingPreview.hidden);
+            return;
+        }
+        const preview = getPreview(wrapper);
+        const textElement = qs('.'.concat(classes$engravingPreview.text), preview);
+        textElement.textContent = config.uppercase ? text.toUpperCase() : text;
+        preview.style.setProperty('--engraving-x', ''.concat(zone.x || 50, '%'));
+        preview.style.setProperty('--engraving-y', ''.concat(zone.y || 50, '%'));
+        preview.style.setProperty('--engraving-width', ''.concat(zone.width || 50, '%'));
+        preview.style.setProperty('--engraving-font-size', zone.font_size || 6);
+        preview.style.setProperty('--engraving-rotate', ''.concat(zone.rotate || 0, 'deg'));
+        preview.style.setProperty('--engraving-font', style.font);
+        preview.style.setProperty('--engraving-color', style.color);
+        removeClass(preview, classes$engravingPreview.hidden);
+    }
+
+    // Query on every update, the media is re-rendered on variant change and the
+    // mobile carousel clones its slides when looping
+    function update() {
+        const text = getOptionValue(config.text_option);
+        const fonts = config.fonts || {};
+        const colors = config.colors || {};
+        const style = {
+            font: fonts[getOptionValue(config.font_option)] || config.font || 'inherit',
+            color: colors[getOptionValue(config.color_option)] || config.color || 'currentColor',
+            placement: getOptionValue(config.placement_option)
+        };
+        qsa(selectors$engravingPreview.mediaWrapper, container).forEach((wrapper) =>
+            renderPreview(wrapper, text, style)
+        );
+    }
+
+    /**
+     * Follows the selected variant, whose featured image holds zones without media.
+     * @param {Object} variant The selected variant
+     */
+    function setVariant(variant) {
+        if (variant && variant.featured_media) {
+            featuredMediaId = variant.featured_media.id;
+        }
+        update();
+    }
+    update();
+    const unload = () => {
+        delegate.off();
+    };
+    return {
+        update,
+        setVariant,
+        unload
+    };
+}
+
+const selectors$backInStock = {
+    wrapper: '[data-back-in-stock]',
+    form: '[data-back-in-stock-form]',
+    tags: '[data-back-in-stock-tags]',
+    email: '[data-back-in-stock-email]',
+    submit: '[data-back-in-stock-submit]',
+    error: '[data-back-in-stock-error]',
+    success: '[data-back-in-stock-success]',
+    trigger: '[data-back-in-stock-trigger]',
+    addToCart: '[data-add-to-cart]'
+};
+const classes$backInStock = {
+    hidden: 'hidden',
+    loading: 'loading'
+};
+const backInStockStorageKey = 'back_in_stock_variants';
+
+/**
+ * Notify me form shown in place of the add to cart button while the selected variant is sold out.
+ * Signups are posted as JSON to the endpoint set in theme settings, or as a tagged Shopify customer
+ * form by default. Subscribed variants are remembered, so returning visitors see the confirmation.
+ * @param {*} container The product section container
+ * @param {Array} extraContainers Elements outside the container with their own add to cart button,
+ *  such as the sticky add to cart bar, which get a trigger that scrolls to the form instead
+ */
+function backInStock(container) {
+    let extraContainers = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+    const wrapper = qs(selectors$backInStock.wrapper, container);
+    if (!wrapper) return;
+    const form = qs(selectors$backInStock.form, wrapper);
+    const tags = qs(selectors$backInStock.tags, wrapper);
+    const email = qs(selectors$backInStock.email, wrapper);
+    const submitButton = qs(selectors$backInStock.submit, wrapper);
+    const error = qs(selectors$backInStock.error, wrapper);
+    const success = qs(selectors$backInStock.success, wrapper);
+    const containers = [container].concat(extraContainers);
+    const addToCartButtons = containers.flatMap((el) => qsa(selectors$backInStock.addToCart, el));
+    const triggers = containers.flatMap((el) => qsa(selectors$backInStock.trigger, el));
+    const { endpoint, productId, productHandle } = wrapper.dataset;
+    let variantId = parseInt(wrapper.dataset.variantId, 10);
+    let soldOut = wrapper.dataset.variantAvailable === 'false';
+    const events = [listen(form, 'submit', handleSubmit), listen(triggers, 'click', focus)];
+    render();
+    function getSubscribedVariants() {
+        return getStorage(backInStockStorageKey) || [];
+    }
+    function render() {
+        const subscribed = getSubscribedVariants().includes(variantId);
+        toggleClass(wrapper, classes$backInStock.hidden, !soldOut);
+        addToCartButtons.forEach((button) => toggleClass(button, classes$backInStock.hidden, soldOut));
+        triggers.forEach((trigger) => toggleClass(trigger, classes$backInStock.hidden, !soldOut));
+        toggleClass(form, classes$backInStock.hidden, subscribed);
+        toggleClass(success, classes$backInStock.hidden, !subscribed);
+        addClass(error, classes$backInStock.hidden);
+        tags.value = 'back-in-stock, back-in-stock-'.concat(variantId);
+    }
+
+    /**
+     * Shows the form for a sold out variant, and the add to cart button otherwise.
+     * @param {Object|null} variant The selected variant, null for an unavailable combination
+     */
+    function update(variant) {
+        variantId = variant ? variant.id : null;
+        soldOut = Boolean(variant) && !variant.available;
+        render();
+    }
+    function focus() {
+        wrapper.scrollIntoView({
+            block: 'center',
+            behavior: 'smooth'
+        });
+        email.focus({
+            preventScroll: true
+        });
+    }
+    function handleSubmit(e) {
+        e.preventDefault();
+        const subscribedVariantId = variantId;
+        addClass(submitButton, classes$backInStock.loading);
+        submitButton.setAttribute('disabled', 'disabled');
+        addClass(error, classes$backInStock.hidden);
+        const request = endpoint ? postToEndpoint() : postCustomerForm();
+        request
+            .then((posted) => {
+                if (!posted) return;
+                const subscribed = getSubscribedVariants().filter((id) => id !== subscribedVariantId);
+                setStorage(backInStockStorageKey, JSON.stringify(subscribed.concat(subscribedVariantId)));
+                themeEvents.emit('product:back-in-stock-subscribe', {
+                    variantId: subscribedVariantId
+                });
+                render();
+            })
+            .catch((err) => {
+                console.error('Back in stock signup failed', err);
+                removeClass(error, classes$backInStock.hidden);
+            })
+            .finally(() => {
+                removeClass(submitButton, classes$backInStock.loading);
+                submitButton.removeAttribute('disabled');
+            });
+    }
+    function postToEndpoint() {
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json'
+            },
+            body: JSON.stringify({
+                email: email.value,
+                variant_id: variantId,
+                product_id: parseInt(productId, 10),
+                product_handle: productHandle
+            })
+        }).then((response) => {
+            if (!response.ok) {
+                throw new Error('Endpoint responded with '.concat(response.status));
+            }
+            return true;
+        });
+    }
+    function postCustomerForm() {
+        return fetch(form.action, {
+            method: 'POST',
+            body: new URLSearchParams(new FormData(form))
+        }).then((response) => {
+            // Shopify asks suspected bots to solve a captcha, which only works with a full page post
+            if (response.url.includes('/challenge')) {
+                form.submit();
+                return false;
+            }
+            if (!response.ok || !response.url.includes('customer_posted=true')) {
+                throw new Error('Customer form was not accepted');
+            }
+            return true;
+        });
+    }
+    const unload = () => {
+        events.forEach((unsubscribe) => unsubscribe());
+    };
+    return {
+        update,
+        focus,
+        unload
+    };
+}
+
+const selectors$sellingPlan = {
+    picker: '[data-selling-plan-picker]',
+    groupInput: '[data-selling-plan-group-input]',
+    group: '[data-selling-plan-group]',
+    groupPrice: '[data-selling-plan-group-price]',
+    frequency: '[data-selling-plan-frequency]',
+    select: '[data-selling-plan-select]',
+    description: '[data-selling-plan-description]',
+    target: '[data-selling-plan-target]'
+};
+const classes$sellingPlan = {
+    hidden: 'hidden'
+};
 
-const storeAvailability = (container, product, variant) => {
-    const update = (variant) => {
-        container.innerHTML = '';
-        if (!variant) return;
-        const variantSectionUrl = ''
-            .concat(container.dataset.baseUrl, '/variants/')
-            .concat(variant.id, '/?section_id=store-availability');
-        makeRequest('GET', variantSectionUrl).then((storeAvailabilityHTML) => {
-            if (storeAvailabilityHTML.trim() === '') return;
+/**
+ * One-time purchase or subscription choice for products sold with selling plans. The chosen plan is
+ * copied to the product form's hidden `selling_plan` input, which is disabled for a one-time purchase.
+ * @param {*} container The product section container
+ * @param {Object} product The product JSON from the `/products/<handle>.js` route
+ * @param {Object} config `onChange` is called with the selected selling plan, or null for a one-time purchase
+ */
+function sellingPlanPicker(container, product) {
+    let config = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+    const picker = qs(selectors$sellingPlan.picker, container);
+    const target = qs(selectors$sellingPlan.target, container);
+    if (!picker || !target) return;
+    const groupInputs = qsa(selectors$sellingPlan.groupInput, picker);
+    const selects = qsa(selectors$sellingPlan.select, picker);
+    const description = qs(selectors$sellingPlan.description, picker);
+    const sellingPlans = product.selling_plan_groups.flatMap((group) => group.selling_plans);
+    let variant = null;
+    const events = [listen(groupInputs, 'change', handleChange), listen(selects, 'change', handleChange)];
+
+    // The one-time purchase input is the only one outside a plan group
+    const getGroup = (input) => input.closest(selectors$sellingPlan.group);
+    const isHidden = (input) => {
+        const group = getGroup(input);
+        return Boolean(group) && group.classList.contains(classes$sellingPlan.hidden);
+    };
 
-            // Remove section wrapper that throws nested sections error
-            container.innerHTML = storeAvailabilityHTML.trim();
-            container.innerHTML = container.firstElementChild.innerHTML;
-            container.setAttribute('data-variant-id', variant.id);
-            container.setAttribute('data-product-title', product.title);
-            container.setAttribute('data-variant-title', variant.public_title);
+    /**
+     * @returns {Object|null} The selected selling plan, null for a one-time purchase
+     */
+    function getSellingPlan() {
+        const checkedInput = groupInputs.find((input) => input.checked);
+        const group = checkedInput && getGroup(checkedInput);
+        if (!group) return null;
+        const sellingPlanId = parseInt(qs(selectors$sellingPlan.select, group).value, 10);
+        return sellingPlans.find((sellingPlan) => sellingPlan.id === sellingPlanId) || null;
+    }
+    function render() {
+        const sellingPlan = getSellingPlan();
+        groupInputs.forEach((input) => {
+            const group = getGroup(input);
+            group &&
+                toggleClass(
+                    qs(selectors$sellingPlan.frequency, group),
+                    classes$sellingPlan.hidden,
+                    !input.checked
+                );
         });
-    };
+        target.value = sellingPlan ? sellingPlan.id : '';
+        target.disabled = !sellingPlan;
+        if (description) {
+            description.textContent = (sellingPlan && sellingPlan.description) || '';
+        }
+        return sellingPlan;
+    }
 
-    // Intialize
-    update(variant);
+    // Plan groups the variant has no allocation in are hidden, falling back to the first option left
+    function renderVariant() {
+        groupInputs.forEach((input) => {
+            const group = getGroup(input);
+            const price = qs(selectors$sellingPlan.groupPrice, input.parentElement);
+            if (!group) {
+                price.textContent = variant ? formatMoney(variant.price) : '';
+                return;
+            }
+            const select = qs(selectors$sellingPlan.select, group);
+            const allocations = variant
+                ? variant.selling_plan_allocations.filter(
+                      (allocation) =>
+                          String(allocation.selling_plan_group_id) === group.dataset.sellingPlanGroup
+                  )
+                : [];
+            const allocation =
+                allocations.find((allocation) => allocation.selling_plan_id === parseInt(select.value, 10)) ||
+                allocations[0];
+            if (allocation) {
+                select.value = allocation.selling_plan_id;
+            }
+            price.textContent = allocation ? formatMoney(allocation.price) : '';
+            toggleClass(group, classes$sellingPlan.hidden, Boolean(variant) && !allocation);
+        });
+        const checkedInput = groupInputs.find((input) => input.checked);
+        if (checkedInput && isHidden(checkedInput)) {
+            const fallbackInput = groupInputs.find((input) => !isHidden(input));
+            fallbackInput && (fallbackInput.checked = true);
+        }
+    }
+    function handleChange() {
+        renderVariant();
+        const sellingPlan = render();
+        config.onChange && config.onChange(sellingPlan);
+    }
+
+    /**
+     * Shows the prices of each option for the selected variant, without calling `onChange`.
+     * @param {Object|null} newVariant The selected variant, null for an unavailable combination
+     * @returns {Object|null} The selected selling plan
+     */
+    function update(newVariant) {
+        variant = newVariant;
+        renderVariant();
+        return render();
+    }
     const unload = () => {
-        container.innerHTML = '';
+        events.forEach((unsubscribe) => unsubscribe());
     };
     return {
-        unload,
-        update
+        getSellingPlan,
+        update,
+        unload
     };
-};
+}
 
-var _window$flu$states$2;
 const selectors$G = {
     form: '[data-product-form]',
     addToCart: '[data-add-to-cart]',
@@ -6866,10 +8206,6 @@ const selectors$G = {
     productMedia: '[data-product-media]',
     moreMediaButton: '[data-more-media]'
 };
-const useCustomEvents$2 =
-    (_window$flu$states$2 = window.flu.states) === null || _window$flu$states$2 === void 0
-        ? void 0
-        : _window$flu$states$2.useCustomEvents;
 class Product {
     constructor(node) {
         this.container = node;
@@ -6930,6 +8266,8 @@ class Product {
             // if that block doesn't exist we should remove the link
             nonSprRatingCount.removeAttribute('href');
         }
+        this.preorders = getPreorderVariants(this.container);
+        this.volumePricing = getVolumePricing(this.container);
         if (this.formElement) {
             const { productHandle, currentProductId } = this.formElement.dataset;
             const product = getProduct(productHandle);
@@ -6942,8 +8280,13 @@ class Product {
                 this.productForm = ProductForm(this.container, this.formElement, data, {
                     onOptionChange: (e) => this.onOptionChange(e),
                     onFormSubmit: (e) => this.onFormSubmit(e),
-                    onQuantityChange: (e) => this.onQuantityChange(e)
+                    onQuantityChange: (e) => this.onQuantityChange(e),
+                    preorders: this.preorders
+                });
+                this.sellingPlanPicker = sellingPlanPicker(this.container, data, {
+                    onChange: (sellingPlan) => this.onSellingPlanChange(sellingPlan)
                 });
+                this.sellingPlanPicker && this.onSellingPlanChange(this.sellingPlanPicker.update(variant));
                 if (
                     this.productThumbnails &&
                     ((_variant$featured_med = variant.featured_media) === null ||
@@ -6991,11 +8334,25 @@ class Product {
         }
 
         // Sticky ATC Bar
-        this.stickyAtcBar = stickyAtcBar(this.document);
+        this.stickyAtcBar = stickyAtcBar(this.document, {
+            beforeSubmit: () => !this.customOptionValidation || this.customOptionValidation.validate()
+        });
 
         this._loadMedia();
         this._initEvents();
 
+        // Block add to cart until custom options are valid, the sticky bar may submit this form too
+        const ownsStickyAtcBar = this.stickyAtcBar && this.container.contains(this.stickyAtcBar.formElement);
+        this.ownsStickyAtcBar = ownsStickyAtcBar;
+        this.stickyAtcBarButtons = ownsStickyAtcBar ? [this.stickyAtcBar.submitButton] : [];
+        this.customOptionValidation = customOptionValidation(this.container, this.stickyAtcBarButtons);
+
+        // Live preview of engraving custom options over the media
+        this.engravingPreview = engravingPreview(this.container);
+
+        // Notify me form in place of add to cart for sold out variants
+        this.backInStock = backInStock(this.container, ownsStickyAtcBar ? [this.stickyAtcBar.element] : []);
+
         // Handle dynamic variant options
         this.variantAvailability = variantAvailability(this.container);
 
@@ -7074,6 +8431,7 @@ class Product {
                 autoHeight: true,
                 initialSlide: initialSlide
             });
+            this.engravingPreview && this.engravingPreview.update();
             this.mobileSwiper.on('slideChange', (evt) => {
                 if (this.viewInYourSpace) {
                     const activeSlide = evt.slides[evt.activeIndex];
@@ -7177,6 +8535,7 @@ class Product {
                 this._loadAccordions();
                 this.featuredProducts = featuredProducts(this.container);
                 this._initEvents();
+                this.engravingPreview && this.engravingPreview.update();
             })
             .catch((error) => {
                 throw error;
@@ -7195,18 +8554,24 @@ class Product {
         if (optionLabel) {
             optionLabel.textContent = srcElement.value;
         }
-        const buyButtonEls = qsa(selectors$G.addToCart, this.container);
+        const buyButtonEls = qsa(selectors$G.addToCart, this.container).concat(this.stickyAtcBarButtons);
         const priceWrapper = qs(selectors$G.priceWrapper, this.container);
         priceWrapper && toggleClass(priceWrapper, 'hide', !variant);
 
-        // Update prices to reflect selected variant
+        // Update prices to reflect selected variant and selling plan
         const defaultProductTemplate = this.isFullProduct === 'true' ? true : false;
-        updatePrices(this.container, variant, defaultProductTemplate);
+        const sellingPlan = this.sellingPlanPicker ? this.sellingPlanPicker.update(variant) : null;
+        updatePrices(this.container, variant, defaultProductTemplate, sellingPlan && sellingPlan.id);
 
         // Update buy button
         buyButtonEls.forEach((buyButton) => {
-            updateBuyButton(buyButton, variant);
+            updateBuyButton(buyButton, variant, this.preorders);
         });
+        updatePreorderMessage(this.container, variant, this.preorders);
+        updateVolumePricing(this.container, variant, this.volumePricing);
+        this.updateQuantityRule(variant);
+        this.customOptionValidation && this.customOptionValidation.updateButtons();
+        this.backInStock && this.backInStock.update(variant);
 
         // Update unit pricing
         updateUnitPrices(this.container, variant);
@@ -7228,11 +8593,10 @@ class Product {
             }
         }
         this.inventoryCounter && this.inventoryCounter.update(variant);
-        if (useCustomEvents$2) {
-            dispatchCustomEvent('product:variant-change', {
-                variant: variant
-            });
-        }
+        this.engravingPreview && this.engravingPreview.setVariant(variant);
+        themeEvents.emit('product:variant-change', {
+            variant: variant
+        });
         if (!variant) {
             updateBuyButton(qs('[data-add-to-cart]', this.container), false);
             this.availability && this.availability.unload();
@@ -7384,7 +8748,32 @@ class Product {
         this.productThumbnailsScroller.scrollTo(groupThumb);
     }
 
+    // When the user switches between a one-time purchase and a selling plan
+    onSellingPlanChange(sellingPlan) {
+        const defaultProductTemplate = this.isFullProduct === 'true' ? true : false;
+        updatePrices(
+            this.container,
+            this.productForm.getVariant(),
+            defaultProductTemplate,
+            sellingPlan && sellingPlan.id
+        );
+        this.ownsStickyAtcBar && this.stickyAtcBar.updateSellingPlan(sellingPlan);
+    }
+
     // When user updates quantity
+    updateQuantityRule(variant) {
+        const pricing = variant && this.volumePricing[variant.id];
+        if (!pricing) return;
+        if (this.quantityInput) {
+            this.quantityInput.updateRule(pricing.rule);
+            return;
+        }
+
+        // Without a quantity selector, the form's own quantity follows the rule
+        qsa('[name="quantity"]', this.formElement).forEach((input) => {
+            input.value = applyQuantityRule(parseInt(input.value), pricing.rule).quantity;
+        });
+    }
     onQuantityChange(_ref3) {
         let {
             dataset: { variant, quantity }
@@ -7394,12 +8783,10 @@ class Product {
         quantityInputs.forEach((quantityInput) => {
             quantityInput.value = quantity;
         });
-        if (useCustomEvents$2) {
-            dispatchCustomEvent('product:quantity-update', {
-                quantity: quantity,
-                variant: variant
-            });
-        }
+        themeEvents.emit('product:quantity-update', {
+            quantity: quantity,
+            variant: variant
+        });
     }
 
     // When user submits the product form
@@ -7426,17 +8813,14 @@ class Product {
                         product: item
                     });
                 } else {
-                    r$1('quick-cart:updated');
                     // Need a delay to allow quick-cart to refresh
                     setTimeout(() => {
                         r$1('quick-cart:open');
                     }, 300);
                 }
-                if (useCustomEvents$2) {
-                    dispatchCustomEvent('cart:item-added', {
-                        product: item
-                    });
-                }
+                themeEvents.emit('cart:item-added', {
+                    product: item
+                });
             })
             .catch((error) => {
                 cart.get(); // update local cart data
@@ -7532,10 +8916,13 @@ class Product {
         (_this$stickyAtcBar = this.stickyAtcBar) === null ||
             _this$stickyAtcBar === void 0 ||
             _this$stickyAtcBar.unload();
+        this.engravingPreview && this.engravingPreview.unload();
+        this.customOptionValidation && this.customOptionValidation.unload();
+        this.backInStock && this.backInStock.unload();
+        this.sellingPlanPicker && this.sellingPlanPicker.unload();
     }
 }
 
-var _window$flu$states$1;
 const classes$k = {
     visible: 'is-visible',
     active: 'active',
@@ -7546,12 +8933,63 @@ const selectors$F = {
     wash: '.modal__wash',
     modalContent: '.quick-view-modal__content',
     loadingMessage: '.quick-view-modal-loading-indicator',
-    siblingSwatch: '.product__color-swatch--sibling-product'
+    siblingSwatch: '.product__color-swatch--sibling-product',
+    trigger: '[data-quick-shop-trigger="quick-view"], [data-quick-view-trigger]'
+};
+const quickViewUrlParam = 'quick-view';
+const quickViewCacheSize = 10;
+const quickViewPrefetchDelay = 150;
+const quickViewCache = new Map();
+
+// Quick view history entries are marked with `state.quickView`. Going back or forward to or from one
+// only changes the quick view param, so other popstate listeners ignore it
+let quickViewHistoryEntry = Boolean(window.history.state && window.history.state.quickView);
+let quickViewHistoryChange = false;
+window.addEventListener('popstate', (e) => {
+    const isQuickViewEntry = Boolean(e.state && e.state.quickView);
+    quickViewHistoryChange = isQuickViewEntry || quickViewHistoryEntry;
+    quickViewHistoryEntry = isQuickViewEntry;
+});
+const isQuickViewHistoryChange = () => quickViewHistoryChange;
+
+/**
+ * Fetches the quick view markup of a product. The last responses are kept in memory, most recently
+ * used last, so reopening a product or opening a prefetched one is instant.
+ * @param {String} productUrl The product URL
+ * @returns {Promise<String>}
+ */
+function fetchQuickView(productUrl) {
+    const xhrUrl = ''.concat(productUrl).concat(productUrl.includes('?') ? '&' : '?', 'view=quick-view');
+    const cached = quickViewCache.get(xhrUrl);
+    if (cached) {
+        quickViewCache.delete(xhrUrl);
+        quickViewCache.set(xhrUrl, cached);
+        return cached;
+    }
+    const request = makeRequest('GET', xhrUrl).catch((error) => {
+        quickViewCache.delete(xhrUrl);
+        throw error;
+    });
+    quickViewCache.set(xhrUrl, request);
+    if (quickViewCache.size > quickViewCacheSize) {
+        quickViewCache.delete(quickViewCache.keys().next().value);
+    }
+    return request;
+}
+const getQuickViewHandle = (productUrl) =>
+    new URL(productUrl, window.location.origin).pathname.split('/').pop();
+const getQuickViewProductUrl = (handle) => ''.concat(window.theme.routes.products, '/').concat(handle);
+
+// The quick view is deep linked with a `?quick-view=<handle>` parameter
+const getUrlWithQuickView = (handle) => {
+    const url = new URL(window.location.href);
+    if (handle) {
+        url.searchParams.set(quickViewUrlParam, handle);
+    } else {
+        url.searchParams.delete(quickViewUrlParam);
+    }
+    return url.href;
 };
-const useCustomEvents$1 =
-    (_window$flu$states$1 = window.flu.states) === null || _window$flu$states$1 === void 0
-        ? void 0
-        : _window$flu$states$1.useCustomEvents;
 const quickViewModal = (node) => {
     const focusTrap = createFocusTrap(node, {
         allowOutsideClick: true
@@ -7565,6 +9003,12 @@ const quickViewModal = (node) => {
         quickViewAnimation = animateQuickView(node);
     }
     let product;
+    let isOpen = false;
+
+    // Whether opening added a history entry, which closing then goes back from
+    let pushedHistory = false;
+    let prefetchTimer = null;
+    const delegate = new Delegate(document.body);
     const events = [
         listen([wash, closeButton], 'click', (e) => {
             e.preventDefault();
@@ -7578,6 +9022,18 @@ const quickViewModal = (node) => {
             let { productUrl } = _ref2;
             _renderProductContent(productUrl);
             _open();
+            const handle = getQuickViewHandle(productUrl);
+            if (new URL(window.location.href).searchParams.get(quickViewUrlParam) !== handle) {
+                window.history.pushState(
+                    {
+                        quickView: handle
+                    },
+                    '',
+                    getUrlWithQuickView(handle)
+                );
+                quickViewHistoryEntry = true;
+                pushedHistory = true;
+            }
         }),
         c('quick-view:close', () => {
             _close();
@@ -7585,11 +9041,43 @@ const quickViewModal = (node) => {
         c('quick-view:refresh', (state, _ref3) => {
             let { productUrl } = _ref3;
             _renderProductContent(productUrl);
+            const handle = getQuickViewHandle(productUrl);
+            window.history.replaceState(
+                {
+                    ...window.history.state,
+                    quickView: handle
+                },
+                '',
+                getUrlWithQuickView(handle)
+            );
+            quickViewHistoryEntry = true;
         })
     ];
+
+    // Prefetch the quick view of a trigger the pointer rests on
+    delegate.on('mouseover', selectors$F.trigger, (e, target) => {
+        const { productUrl } = target.dataset;
+        if (!productUrl || prefetchTimer) return;
+        prefetchTimer = setTimeout(() => fetchQuickView(productUrl).catch(() => {}), quickViewPrefetchDelay);
+    });
+    delegate.on('mouseout', selectors$F.trigger, (e, target) => {
+        if (target.contains(e.relatedTarget)) return;
+        clearTimeout(prefetchTimer);
+        prefetchTimer = null;
+    });
+    window.addEventListener('popstate', onPopstate);
+    function onPopstate() {
+        const handle = new URL(window.location.href).searchParams.get(quickViewUrlParam);
+        if (handle) {
+            pushedHistory = false;
+            _renderProductContent(getQuickViewProductUrl(handle));
+            !isOpen && _open();
+        } else if (isOpen) {
+            _close(false);
+        }
+    }
     const _renderProductContent = (productUrl) => {
-        const xhrUrl = ''.concat(productUrl).concat(productUrl.includes('?') ? '&' : '?', 'view=quick-view');
-        makeRequest('GET', xhrUrl).then((response) => {
+        fetchQuickView(productUrl).then((response) => {
             let container = document.createElement('div');
             container.innerHTML = response;
             const productElement = qs('[data-is-quick-view]', container);
@@ -7612,12 +9100,11 @@ const quickViewModal = (node) => {
                 quickViewAnimation.animate();
             }
             product = new Product(renderedProductElement);
-            if (useCustomEvents$1) {
-                dispatchCustomEvent('quickview:loaded');
-            }
+            themeEvents.emit('quickview:loaded');
         });
     };
     const _open = () => {
+        isOpen = true;
         addClass(node, classes$k.fixed);
         setTimeout(() => {
             addClass(node, classes$k.active);
@@ -7638,8 +9125,30 @@ const quickViewModal = (node) => {
             },
             reserveScrollBarGap: true
         });
+        themeEvents.emit('quickview:open');
     };
-    const _close = () => {
+    const _close = function () {
+        let updateHistory = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+        if (isOpen) {
+            themeEvents.emit('quickview:close');
+        }
+        if (updateHistory && isOpen) {
+            if (pushedHistory) {
+                window.history.back();
+            } else {
+                window.history.replaceState(
+                    {
+                        ...window.history.state,
+                        quickView: null
+                    },
+                    '',
+                    getUrlWithQuickView(null)
+                );
+                quickViewHistoryEntry = false;
+            }
+        }
+        isOpen = false;
+        pushedHistory = false;
         focusTrap.deactivate();
         removeClass(node, classes$k.visible);
         removeClass(node, classes$k.active);
@@ -7658,8 +9167,17 @@ const quickViewModal = (node) => {
             (_product = product) === null || _product === void 0 || _product.unload();
         }, 500);
     };
+
+    // Open the quick view linked to on page load
+    const initialHandle = new URL(window.location.href).searchParams.get(quickViewUrlParam);
+    if (initialHandle) {
+        _renderProductContent(getQuickViewProductUrl(initialHandle));
+        _open();
+    }
     const unload = () => {
         events.forEach((unsubscribe) => unsubscribe());
+        delegate.off();
+        window.removeEventListener('popstate', onPopstate);
     };
     return {
         unload
@@ -8534,6 +10052,11 @@ const classes$f = {
     success: 'free-shipping-bar--success'
 };
 function freeShippingBar(node) {
+    // Tier lists replace the single threshold bar
+    if (node.hasAttribute('data-cart-progress-tiers')) {
+        cartProgressTiers(node);
+        return;
+    }
     let { threshold, cartTotal, freeShippingSuccessMessage, freeShippingPendingMessage } = node.dataset;
     cartTotal = parseInt(cartTotal, 10);
 
@@ -8563,6 +10086,125 @@ function freeShippingBar(node) {
     }
 }
 
+const selectors$tiers = {
+    tiers: '[data-tiers]',
+    markers: '[data-tier-markers]'
+};
+const classes$tiers = {
+    marker: 'cart-progress-tiers__marker',
+    reached: 'is-reached'
+};
+
+/**
+ *  CartProgressTiers
+    - Progress bar with stacked goals, e.g. free shipping at 100, a gift at 150
+    - Tiers come from json markup: [{ "threshold": "100.00", "label": "free shipping" }, ...]
+    - Emits `cart:tier-reached` / `cart:tier-lost` with the tier (including any extra keys)
+      whenever the cart total crosses a threshold, so gifts can be added or removed
+  * @param {node} node free shipping bar element with data-cart-progress-tiers
+ */
+function cartProgressTiers(node) {
+    let { cartTotal, cartToken, tierSuccessMessage, tierPendingMessage } = node.dataset;
+    cartTotal = parseInt(cartTotal, 10);
+    const tiers = _parseTiers();
+    if (!tiers.length) return;
+    const highestThreshold = tiers[tiers.length - 1].thresholdInCents;
+    const reachedCount = tiers.filter((tier) => cartTotal >= tier.thresholdInCents).length;
+    _setProgressMessage();
+    _setProgressBar();
+    _setMarkers();
+    _dispatchCrossings();
+    addClass(node, classes$f.loaded);
+    function _parseTiers() {
+        try {
+            const tierList = JSON.parse(qs(selectors$tiers.tiers, node).textContent);
+            return tierList
+                .map((tier) => {
+                    // Account for different currencies using the Shopify currency rate
+                    const threshold = Math.round(parseFloat(tier.threshold) * (window.Shopify.currency.rate || 1));
+                    return Object.assign({}, tier, {
+                        thresholdInCents: threshold * 100
+                    });
+                })
+                .filter((tier) => !isNaN(tier.thresholdInCents))
+                .sort((a, b) => a.thresholdInCents - b.thresholdInCents);
+        } catch (error) {
+            console.error('Cart progress tiers: invalid tier list', error);
+            return [];
+        }
+    }
+    function _setProgressMessage() {
+        const message = qs(selectors$D.message, node);
+        const nextTier = tiers[reachedCount];
+        toggleClass(node, classes$f.success, !nextTier);
+        if (!nextTier) {
+            message.innerText = tierSuccessMessage;
+            return;
+        }
+        const remainder = nextTier.thresholdInCents - cartTotal;
+        message.innerHTML = tierPendingMessage
+            .replace('{{ remaining_amount }}', '<span class="fs-body-bold">'.concat(formatMoney(remainder), '</span>'))
+            .replace('{{ tier_label }}', nextTier.label || '');
+    }
+    function _setProgressBar() {
+        const progressBar = qs(selectors$D.progressBar, node);
+        const progress = Math.min((cartTotal / highestThreshold) * 100, 100);
+        progressBar.style.setProperty('--progress-width', ''.concat(progress, '%'));
+    }
+    function _setMarkers() {
+        const markers = qs(selectors$tiers.markers, node);
+        if (!markers) return;
+        markers.innerHTML = '';
+        tiers.forEach((tier, index) => {
+            const marker = document.createElement('span');
+            marker.className = classes$tiers.marker;
+            marker.title = tier.label || formatMoney(tier.thresholdInCents);
+            marker.style.setProperty(
+                '--marker-position',
+                ''.concat((tier.thresholdInCents / highestThreshold) * 100, '%')
+            );
+            toggleClass(marker, classes$tiers.reached, index < reachedCount);
+            markers.appendChild(marker);
+        });
+    }
+
+    // Compare against the last known count for this cart and tier list, so re-renders of the same total
+    // stay silent and a first render (new cart, changed tiers) only records the count
+    function _dispatchCrossings() {
+        const thresholds = tiers.map((tier) => tier.thresholdInCents).join(',');
+        const previous = getStorage('cart_tiers_reached');
+        setStorage(
+            'cart_tiers_reached',
+            JSON.stringify({
+                token: cartToken,
+                thresholds,
+                count: reachedCount
+            })
+        );
+
+        // A cart without a token is empty, so the cart it turns into starts from its count
+        const isSameCart = previous && (!previous.token || previous.token === cartToken);
+        if (!isSameCart || previous.thresholds !== thresholds) return;
+        const previousCount = previous.count;
+        if (previousCount === reachedCount) return;
+        const crossed =
+            reachedCount > previousCount
+                ? tiers.slice(previousCount, reachedCount)
+                : tiers.slice(reachedCount, previousCount).reverse();
+        const eventName = reachedCount > previousCount ? 'cart:tier-reached' : 'cart:tier-lost';
+        crossed.forEach((tier) => {
+            r$1(eventName, null, {
+                tier,
+                cartTotal
+            });
+            themeEvents.emit(eventName, {
+                tier,
+                cartTotal
+            });
+        });
+    }
+}
+
 const selectors$C = {
     header: '.header__outer-wrapper',
     containerInner: '.purchase-confirmation-popup__inner',
@@ -8799,6 +10441,10 @@ register('header', {
                 let { cart } = _ref;
                 this.updateCartCount(cart.item_count);
             }),
+            c('cart:optimistic', (_, _ref2) => {
+                let { cart } = _ref2;
+                this.updateCartCount(cart.item_count);
+            }),
             listen(document, 'apps:product-added-to-cart', () => {
                 cart.get().then((cart) => {
                     this.updateCartCount(cart.item_count);
@@ -9141,20 +10787,31 @@ function QuantityButtons(node) {
     delegate.on('click', selectors$w.quantitySubtract, (_, target) => {
         const item = target.closest(selectors$w.item);
         const { key } = item.dataset;
-        const qty = qs(selectors$w.quantityInput, item).value;
+        const input = qs(selectors$w.quantityInput, item);
+        const { min, increment } = getQuantityRule(input);
+        const subtracted = parseInt(input.value) - increment;
+        // Going below the minimum removes the line
+        const qty = subtracted < min ? 0 : subtracted;
+        input.value = qty;
         r$1('quantity-update:subtract', null, {
             key
         });
-        cart.updateItem(key, parseInt(qty) - 1);
+        cart.updateItem(key, qty).catch(() => {
+            // Error is surfaced on the line through `cart:error` / `quick-cart:error`
+        });
     });
     delegate.on('click', selectors$w.quantityAdd, (_, target) => {
         const item = target.closest(selectors$w.item);
         const { key } = item.dataset;
-        const qty = qs(selectors$w.quantityInput, item).value;
+        const input = qs(selectors$w.quantityInput, item);
+        const qty = parseInt(input.value) + getQuantityRule(input).increment;
+        input.value = qty;
         r$1('quantity-update:add', null, {
             key
         });
-        cart.updateItem(key, parseInt(qty) + 1);
+        cart.updateItem(key, qty).catch(() => {
+            // Error is surfaced on the line through `cart:error` / `quick-cart:error`
+        });
     });
     delegate.on('click', selectors$w.removeItem, (_, target) => {
         const item = target.closest(selectors$w.item);
@@ -9162,7 +10819,9 @@ function QuantityButtons(node) {
         r$1('quantity-update:remove', null, {
             key
         });
-        cart.updateItem(key, 0);
+        cart.updateItem(key, 0).catch(() => {
+            // Error is surfaced on the line through `cart:error` / `quick-cart:error`
+        });
     });
     const unload = () => {
         delegate.off();
@@ -9200,18 +10859,485 @@ function CartNoteToggle(node) {
             inputWrapper.setAttribute('aria-hidden', true);
             const inputTriggertext = qs(selectors$v.cartNoteTriggerText, node);
 
-            // Update cart note trigger text
-            if (textInput.value === '') {
-                inputTriggertext.innerText = strings$3.addCartNote;
-            } else {
-                inputTriggertext.innerText = strings$3.editCartNote;
+            // Update cart note trigger text
+            if (textInput.value === '') {
+                inputTriggertext.innerText = strings$3.addCartNote;
+            } else {
+                inputTriggertext.innerText = strings$3.editCartNote;
+            }
+        } else {
+            slideStop(inputWrapper);
+            slideDown(inputWrapper);
+            inputWrapper.setAttribute('aria-expanded', true);
+            inputWrapper.setAttribute('aria-hidden', false);
+        }
+    }
+    const unload = () => {
+        delegate.off();
+    };
+    return {
+        unload
+    };
+}
+
+const selectors$giftOptions = {
+    giftOptions: '[data-gift-options]',
+    giftWrap: '[data-gift-wrap]',
+    giftMessage: '[data-gift-message]',
+    giftMessageCount: '[data-gift-message-count]',
+    hidePrices: '[data-gift-hide-prices]'
+};
+const giftAttributes = {
+    message: 'Gift message',
+    hidePrices: 'Hide prices on packing slip'
+};
+
+/**
+ * Gift wrap, gift message and packing slip options shared by the cart and quick cart.
+ * The gift wrap is a cart line of the configured variant, the message and price flag are
+ * cart attributes. Every instance re-syncs from the cart on update so both stay in step.
+ * @param {*} node The cart or quick cart container
+ */
+function GiftOptions(node) {
+    const messageDebounce = debounce();
+    const delegate = new Delegate(node);
+    delegate.on('change', selectors$giftOptions.giftWrap, (_, target) => handleGiftWrap(target));
+    delegate.on('input', selectors$giftOptions.giftMessage, (_, target) => {
+        renderCount(target);
+        messageDebounce(() => saveMessage(target), 600);
+    });
+    delegate.on('change', selectors$giftOptions.giftMessage, (_, target) => {
+        messageDebounce(() => saveMessage(target), 0);
+    });
+    delegate.on('change', selectors$giftOptions.hidePrices, (_, target) => {
+        cart.updateAttributes({
+            [giftAttributes.hidePrices]: target.checked ? 'Yes' : ''
+        }).catch(() => render(cartClient.cart));
+    });
+    const events = [
+        c('cart:updated', (_ref) => {
+            let { cart } = _ref;
+            render(cart);
+        })
+    ];
+    // The markup is only rendered when the cart has items, so it's looked up on use
+    function getGiftWrapVariantId(element) {
+        const { giftWrapVariantId } = element.closest(selectors$giftOptions.giftOptions).dataset;
+        return parseInt(giftWrapVariantId, 10);
+    }
+    function getGiftWrapLine(cart, variantId) {
+        return cart.items.find((item) => item.variant_id === variantId);
+    }
+    function handleGiftWrap(target) {
+        const variantId = getGiftWrapVariantId(target);
+        target.disabled = true;
+        const request = target.checked
+            ? cart.addItemById(variantId, 1)
+            : cart.get().then((currentCart) => {
+                  const line = getGiftWrapLine(currentCart, variantId);
+                  return line && cart.updateItem(line.key, 0);
+              });
+        request
+            .catch(() => render(cartClient.cart))
+            .finally(() => {
+                target.disabled = false;
+            });
+    }
+    function saveMessage(target) {
+        const message = target.value.slice(0, target.maxLength > 0 ? target.maxLength : undefined);
+        const current = cartClient.cart && cartClient.cart.attributes[giftAttributes.message];
+        if (message === (current || '')) return;
+        cart.updateAttributes({
+            [giftAttributes.message]: message
+        }).catch(() => {});
+    }
+    function renderCount(textarea) {
+        const count = qs(selectors$giftOptions.giftMessageCount, textarea.parentNode);
+        if (!count || !(textarea.maxLength > 0)) return;
+        count.innerText = ''.concat(textarea.value.length, '/').concat(textarea.maxLength);
+    }
+
+    // Query on every render, sections may have re-rendered the markup in between
+    function render(cart) {
+        if (!cart) return;
+        const attributes = cart.attributes || {};
+        qsa(selectors$giftOptions.giftWrap, node).forEach((input) => {
+            input.checked = Boolean(getGiftWrapLine(cart, getGiftWrapVariantId(input)));
+        });
+        qsa(selectors$giftOptions.giftMessage, node).forEach((textarea) => {
+            // Don't overwrite what the customer is still typing
+            if (document.activeElement === textarea) return;
+            textarea.value = attributes[giftAttributes.message] || '';
+            renderCount(textarea);
+        });
+        qsa(selectors$giftOptions.hidePrices, node).forEach((input) => {
+            input.checked = Boolean(attributes[giftAttributes.hidePrices]);
+        });
+    }
+    const unload = () => {
+        delegate.off();
+        events.forEach((unsubscribe) => unsubscribe());
+    };
+    return {
+        unload
+    };
+}
+
+const selectors$lineItemEditor = {
+    item: '[data-input-item]',
+    trigger: '[data-edit-item]',
+    editor: '[data-item-editor]',
+    itemProperties: '[data-item-properties]',
+    quantityInput: '[data-quantity-input]',
+    optionGroup: '[data-option-index]',
+    optionGroupWithIndex: (index) => '[data-option-index="'.concat(index, '"]'),
+    optionValue: '[data-option-value]',
+    submit: '[data-item-editor-submit]',
+    cancel: '[data-item-editor-cancel]'
+};
+const classes$lineItemEditor = {
+    selected: 'selected',
+    disabled: 'disabled',
+    updatingQuantity: 'has-quantity-update'
+};
+
+/**
+ *  LineItemEditor
+    - Swap the variant of a cart line in place
+    - Required markup on each [data-input-item] line:
+      - data-key, data-variant-id and data-product-handle
+      - a [data-edit-item] trigger and an empty [data-item-editor] container
+      - optional data-selling-plan-id and [data-item-properties] json, carried over to the new line
+  * @param {node} node cart or quick cart container
+  * @returns {unload} remove event listeners
+ */
+function LineItemEditor(node) {
+    const products = {};
+    const delegate = new Delegate(node);
+    delegate.on('click', selectors$lineItemEditor.trigger, (_, target) =>
+        toggleEditor(target.closest(selectors$lineItemEditor.item))
+    );
+    delegate.on('click', selectors$lineItemEditor.optionValue, (_, target) => selectValue(target));
+    delegate.on('click', selectors$lineItemEditor.cancel, (_, target) =>
+        closeEditor(target.closest(selectors$lineItemEditor.item))
+    );
+    delegate.on('click', selectors$lineItemEditor.submit, (_, target) =>
+        submit(target.closest(selectors$lineItemEditor.item))
+    );
+    function toggleEditor(item) {
+        const editor = qs(selectors$lineItemEditor.editor, item);
+        if (editor.hasChildNodes()) {
+            closeEditor(item);
+        } else {
+            openEditor(item);
+        }
+    }
+    function openEditor(item) {
+        const { productHandle, variantId } = item.dataset;
+        getProduct(productHandle)((product) => {
+            const variant = product.variants.find((v) => v.id === parseInt(variantId, 10));
+            if (!variant) return;
+            products[productHandle] = product;
+            renderEditor(qs(selectors$lineItemEditor.editor, item), product, variant);
+            qs(selectors$lineItemEditor.trigger, item).setAttribute('aria-expanded', true);
+        });
+    }
+    function closeEditor(item) {
+        qs(selectors$lineItemEditor.editor, item).innerHTML = '';
+        qs(selectors$lineItemEditor.trigger, item).setAttribute('aria-expanded', false);
+    }
+    function renderEditor(editor, product, variant) {
+        editor.innerHTML = '';
+        product.options.forEach((option, index) => {
+            const group = document.createElement('div');
+            group.className = 'product__color-chips flex flex-wrap gap-2 mt-3';
+            group.dataset.optionIndex = 'option'.concat(index + 1);
+            group.setAttribute('role', 'group');
+            group.setAttribute('aria-label', option.name);
+            option.values.forEach((value) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'product__chip dynamic-variant-button';
+                chip.dataset.optionValue = value;
+                chip.textContent = value;
+                toggleClass(chip, classes$lineItemEditor.selected, variant.options[index] === value);
+                group.appendChild(chip);
+            });
+            editor.appendChild(group);
+        });
+        const actions = document.createElement('div');
+        actions.className = 'flex gap-4 mt-3';
+        const submitButton = document.createElement('button');
+        submitButton.type = 'button';
+        submitButton.className = 'btn btn--primary btn--small';
+        submitButton.dataset.itemEditorSubmit = '';
+        submitButton.textContent = strings$3.updateItem;
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn--text-link fs-body-75';
+        cancelButton.dataset.itemEditorCancel = '';
+        cancelButton.textContent = strings$3.cancelEdit;
+        actions.append(submitButton, cancelButton);
+        editor.appendChild(actions);
+        updateAvailability(editor);
+    }
+    function selectValue(chip) {
+        const group = chip.closest(selectors$lineItemEditor.optionGroup);
+        qsa(selectors$lineItemEditor.optionValue, group).forEach((el) =>
+            removeClass(el, classes$lineItemEditor.selected)
+        );
+        addClass(chip, classes$lineItemEditor.selected);
+        updateAvailability(chip.closest(selectors$lineItemEditor.editor));
+    }
+    function getSelectedVariant(item) {
+        const editor = qs(selectors$lineItemEditor.editor, item);
+        const product = products[item.dataset.productHandle];
+        const options = qsa(selectors$lineItemEditor.optionGroup, editor).map((group) => {
+            const selected = qs('.'.concat(classes$lineItemEditor.selected), group);
+            return selected ? selected.dataset.optionValue : null;
+        });
+        return {
+            product,
+            options,
+            variant: options.includes(null) ? null : getVariantFromOptionArray(product, options)
+        };
+    }
+
+    // Uses the same availability tree as the product page variant picker
+    function updateAvailability(editor) {
+        const item = editor.closest(selectors$lineItemEditor.item);
+        const { product, options, variant } = getSelectedVariant(item);
+        const currentlySelectedValues = options.map((value, index) => ({
+            value,
+            index: 'option'.concat(index + 1)
+        }));
+        const availableOptions = createAvailableOptionsTree(product.variants, currentlySelectedValues);
+        for (const [option, values] of Object.entries(availableOptions)) {
+            const group = qs(selectors$lineItemEditor.optionGroupWithIndex(option), editor);
+            if (!group) continue;
+            values.forEach((_ref) => {
+                let { value, soldOut } = _ref;
+                const chip = qsa(selectors$lineItemEditor.optionValue, group).find(
+                    (el) => el.dataset.optionValue === value
+                );
+                if (chip) toggleClass(chip, classes$lineItemEditor.disabled, soldOut);
+            });
+        }
+        const isCurrent = variant && variant.id === parseInt(item.dataset.variantId, 10);
+        qs(selectors$lineItemEditor.submit, editor).disabled = !variant || !variant.available || isCurrent;
+    }
+    function submit(item) {
+        const { variant } = getSelectedVariant(item);
+        if (!variant) return;
+        const { key, variantId, sellingPlanId } = item.dataset;
+        const itemProperties = qs(selectors$lineItemEditor.itemProperties, item);
+        const quantityInput = qs(selectors$lineItemEditor.quantityInput, item);
+        const newItem = {
+            id: variant.id,
+            quantity: quantityInput ? parseInt(quantityInput.value, 10) : 1,
+            properties: itemProperties ? JSON.parse(itemProperties.textContent) : {}
+        };
+        if (sellingPlanId) {
+            newItem.selling_plan = parseInt(sellingPlanId, 10);
+        }
+        addClass(item, classes$lineItemEditor.updatingQuantity);
+        cart.replaceItem(key, newItem, parseInt(variantId, 10)).catch(() => {
+            // Error is surfaced on the line through `cart:error` / `quick-cart:error`
+        });
+    }
+    const unload = () => {
+        delegate.off();
+    };
+    return {
+        unload
+    };
+}
+
+const selectors$personalizationEditor = {
+    item: '[data-input-item]',
+    trigger: '[data-edit-personalization]',
+    editor: '[data-personalization-editor]',
+    itemProperties: '[data-item-properties]',
+    quantityInput: '[data-quantity-input]',
+    field: '[data-personalization-field]',
+    submit: '[data-personalization-submit]',
+    cancel: '[data-personalization-cancel]',
+    customOption: '[data-custom-option-label]'
+};
+const classes$personalizationEditor = {
+    hidden: 'hidden',
+    updatingQuantity: 'has-quantity-update'
+};
+
+// Text custom options of each product with their validation rules, read from the product page
+const productCustomOptions = {};
+function getProductCustomOptions(handle) {
+    if (!productCustomOptions[handle]) {
+        productCustomOptions[handle] = fetch(''.concat(window.theme.routes.products, '/').concat(handle))
+            .then((response) => response.text())
+            .then((text) => {
+                const doc = new DOMParser().parseFromString(text, 'text/html');
+                const options = {};
+                qsa(selectors$personalizationEditor.customOption, doc).forEach((option) => {
+                    const { customOptionLabel, customOptionType } = option.dataset;
+                    const isText = ['text', 'textarea'].includes(customOptionType);
+                    if (!isText || options[customOptionLabel]) return;
+                    options[customOptionLabel] = {
+                        type: customOptionType,
+                        rules: getCustomOptionRules(option)
+                    };
+                });
+                return options;
+            })
+            .catch((error) => {
+                console.error('Could not load custom options for', handle, error);
+                delete productCustomOptions[handle];
+                return {};
+            });
+    }
+    return productCustomOptions[handle];
+}
+
+/**
+ *  PersonalizationEditor
+    - Edit the custom option properties of a cart line in place
+    - Fields and validation rules come from the text custom options on the product page
+    - Required markup on each [data-input-item] line:
+      - data-key, data-product-handle and [data-item-properties] json
+      - a [data-edit-personalization] trigger and an empty [data-personalization-editor] container
+  * @param {node} node cart or quick cart container
+  * @returns {unload} remove event listeners
+ */
+function PersonalizationEditor(node) {
+    const delegate = new Delegate(node);
+    delegate.on('click', selectors$personalizationEditor.trigger, (_, target) =>
+        toggleEditor(target.closest(selectors$personalizationEditor.item))
+    );
+    delegate.on('click', selectors$personalizationEditor.cancel, (_, target) =>
+        closeEditor(target.closest(selectors$personalizationEditor.item))
+    );
+    delegate.on('click', selectors$personalizationEditor.submit, (_, target) =>
+        submit(target.closest(selectors$personalizationEditor.item))
+    );
+    delegate.on('input', selectors$personalizationEditor.field, (_, target) => {
+        // Errors are cleared as they're fixed, but only shown again on submit
+        if (target.getAttribute('aria-invalid')) renderError(target);
+    });
+    function getProperties(item) {
+        const itemProperties = qs(selectors$personalizationEditor.itemProperties, item);
+        return itemProperties ? JSON.parse(itemProperties.textContent) : {};
+    }
+    function toggleEditor(item) {
+        const editor = qs(selectors$personalizationEditor.editor, item);
+        if (editor.hasChildNodes()) {
+            closeEditor(item);
+        } else {
+            openEditor(item);
+        }
+    }
+    function openEditor(item) {
+        const trigger = qs(selectors$personalizationEditor.trigger, item);
+        const properties = getProperties(item);
+        getProductCustomOptions(item.dataset.productHandle).then((options) => {
+            const fields = Object.keys(properties).filter((name) => options[name]);
+            // Only lines with text custom options can be edited
+            if (!fields.length) {
+                addClass(trigger, classes$personalizationEditor.hidden);
+                return;
             }
+            renderEditor(item, fields, options, properties);
+            trigger.setAttribute('aria-expanded', true);
+        });
+    }
+    function closeEditor(item) {
+        qs(selectors$personalizationEditor.editor, item).innerHTML = '';
+        qs(selectors$personalizationEditor.trigger, item).setAttribute('aria-expanded', false);
+    }
+    function renderEditor(item, fields, options, properties) {
+        const editor = qs(selectors$personalizationEditor.editor, item);
+        editor.innerHTML = '';
+        fields.forEach((name, index) => {
+            const { type, rules } = options[name];
+            const id = 'Personalization-'.concat(item.dataset.key, '-').concat(index);
+            const wrapper = document.createElement('div');
+            wrapper.className = 'mt-3';
+            const label = document.createElement('label');
+            label.className = 'fs-body-60';
+            label.htmlFor = id;
+            label.textContent = name;
+            const input = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+            input.id = id;
+            input.className = 'input';
+            input.value = properties[name];
+            input.dataset.personalizationField = name;
+            if (type === 'textarea') input.rows = 3;
+            // Rules stay on the field so errors can be rendered from it alone
+            input.dataset.rules = JSON.stringify(rules);
+            const error = document.createElement('p');
+            error.id = ''.concat(id, '-error');
+            error.className = 'product__custom-option-error fs-body-50 hidden';
+            error.setAttribute('aria-live', 'polite');
+            wrapper.append(label, input, error);
+            editor.appendChild(wrapper);
+        });
+        const actions = document.createElement('div');
+        actions.className = 'flex gap-4 mt-3';
+        const submitButton = document.createElement('button');
+        submitButton.type = 'button';
+        submitButton.className = 'btn btn--primary btn--small';
+        submitButton.dataset.personalizationSubmit = '';
+        submitButton.textContent = strings$3.updateItem;
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn--text-link fs-body-75';
+        cancelButton.dataset.personalizationCancel = '';
+        cancelButton.textContent = strings$3.cancelEdit;
+        actions.append(submitButton, cancelButton);
+        editor.appendChild(actions);
+    }
+    function renderError(field) {
+        const message = getCustomOptionError(JSON.parse(field.dataset.rules), field.value);
+        const error = qs('#'.concat(field.id, '-error'), field.parentNode);
+        error.textContent = message;
+        toggleClass(error, classes$personalizationEditor.hidden, !message);
+        if (message) {
+            field.setAttribute('aria-invalid', true);
+            field.setAttribute('aria-describedby', error.id);
         } else {
-            slideStop(inputWrapper);
-            slideDown(inputWrapper);
-            inputWrapper.setAttribute('aria-expanded', true);
-            inputWrapper.setAttribute('aria-hidden', false);
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+        }
+        return message;
+    }
+    function submit(item) {
+        const fields = qsa(selectors$personalizationEditor.field, item);
+        const invalid = fields.filter((field) => renderError(field));
+        if (invalid.length) {
+            invalid[0].focus();
+            return;
+        }
+        const properties = getProperties(item);
+        const updated = fields.reduce(
+            (acc, field) => ({
+                ...acc,
+                [field.dataset.personalizationField]: field.value.trim()
+            }),
+            properties
+        );
+        if (fields.every((field) => properties[field.dataset.personalizationField] === field.value.trim())) {
+            closeEditor(item);
+            return;
         }
+        const quantityInput = qs(selectors$personalizationEditor.quantityInput, item);
+        addClass(item, classes$personalizationEditor.updatingQuantity);
+        cart.updateProperties(
+            item.dataset.key,
+            quantityInput ? parseInt(quantityInput.value, 10) : 1,
+            updated
+        ).catch(() => {
+            // Error is surfaced on the line through `cart:error` / `quick-cart:error`
+            removeClass(item, classes$personalizationEditor.updatingQuantity);
+        });
     }
     const unload = () => {
         delegate.off();
@@ -9234,6 +11360,69 @@ function updateInnerHTML(selector, doc) {
     }
 }
 
+const selectors$cartJson = {
+    cartJson: '[data-cart-json]',
+    item: '[data-input-item]',
+    quantityInput: '[data-quantity-input]',
+    subtotal: '[data-cart-subtotal]',
+    itemCount: '[data-cart-item-count]',
+    addon: '[data-addon-key]',
+    linePrice: '[data-item-line-price]'
+};
+
+/**
+ * Seeds the cart client with the cart JSON rendered by a section, and the cart with the quantity
+ * rules of the rendered lines
+ * @param {*} node The section container
+ */
+function hydrateCart(node) {
+    qsa(selectors$cartJson.item, node).forEach((item) => {
+        const input = qs(selectors$cartJson.quantityInput, item);
+        if (input) cartQuantityRules[item.dataset.variantId] = getQuantityRule(input);
+    });
+    renderQuantityNotice(node);
+    const cartJson = qs(selectors$cartJson.cartJson, node);
+    if (!cartJson) return;
+    try {
+        cartClient.hydrate(JSON.parse(cartJson.textContent));
+    } catch (error) {
+        console.error('Could not parse cart JSON', error);
+    }
+}
+
+/**
+ * Reflects a known cart in already rendered cart markup without waiting for a section refresh
+ * @param {*} node The cart or quick cart container
+ * @param {*} cart The cart JSON, optimistic or rolled back
+ */
+function renderCartJson(node, cart) {
+    qsa(selectors$cartJson.item, node).forEach((item) => {
+        const line = cart.items.find((i) => i.key === item.dataset.key);
+        toggleClass(item, 'hidden', !line);
+        if (!line) return;
+        const input = qs(selectors$cartJson.quantityInput, item);
+        if (input && parseInt(input.value) !== line.quantity) {
+            input.value = line.quantity;
+        }
+    });
+
+    // Items show their unit price, fee lines follow the item's quantity and show their line price
+    qsa(selectors$cartJson.addon, node).forEach((addon) => {
+        const line = cart.items.find((i) => i.key === addon.dataset.addonKey);
+        toggleClass(addon, 'hidden', !line);
+        if (!line) return;
+        qsa(selectors$cartJson.linePrice, addon).forEach((el) => {
+            el.innerHTML = formatMoney(line.final_line_price);
+        });
+    });
+    qsa(selectors$cartJson.subtotal, node).forEach((el) => {
+        el.innerHTML = formatMoney(cart.total_price);
+    });
+    qsa(selectors$cartJson.itemCount, node).forEach((el) => {
+        el.innerHTML = cart.item_count;
+    });
+}
+
 const selectors$u = {
     crossSellsSlider: '[data-cross-sells-slider]',
     quickViewTrigger: '[data-quick-view-trigger]',
@@ -9275,7 +11464,6 @@ function CrossSells(node) {
     };
 }
 
-var _window$flu$states;
 const selectors$t = {
     cartWrapper: '.quick-cart__wrapper',
     innerContainer: '.quick-cart__container',
@@ -9299,10 +11487,6 @@ const classes$c = {
     updatingQuantity: 'has-quantity-update',
     removed: 'is-removed'
 };
-const useCustomEvents =
-    (_window$flu$states = window.flu.states) === null || _window$flu$states === void 0
-        ? void 0
-        : _window$flu$states.useCustomEvents;
 register('quick-cart', {
     onLoad() {
         this.cartWrapper = qs(selectors$t.cartWrapper, this.container);
@@ -9315,8 +11499,12 @@ register('quick-cart', {
             c('quick-cart:open', () => this.openQuickCart()),
             c('quick-cart:updated', () => this.refreshQuickCart()),
             c('quick-cart:error', (_, _ref) => {
-                let { key, errorMessage } = _ref;
-                this.handleErrorMessage(key, errorMessage);
+                let { key, errorMessage, cart } = _ref;
+                this.handleErrorMessage(key, errorMessage, cart);
+            }),
+            c('cart:optimistic', (_, _ref5) => {
+                let { cart } = _ref5;
+                renderCartJson(this.container, cart);
             }),
             c('quick-cart:scrollup', () => this.scrollUpQuickCart()),
             c(['quantity-update:subtract', 'quantity-update:add'], (_, _ref2) => {
@@ -9333,6 +11521,10 @@ register('quick-cart', {
         ];
         this.quantityButtons = QuantityButtons(this.container);
         this.cartNoteToggle = CartNoteToggle(this.container);
+        this.giftOptions = GiftOptions(this.container);
+        this.lineItemEditor = LineItemEditor(this.container);
+        this.personalizationEditor = PersonalizationEditor(this.container);
+        hydrateCart(this.container);
         if (shouldAnimate(this.container)) {
             this.animateQuickCart = animateQuickCart(this.container);
         }
@@ -9369,13 +11561,11 @@ register('quick-cart', {
             },
             reserveScrollBarGap: true
         });
-        if (useCustomEvents) {
-            cart.get().then((cart) => {
-                dispatchCustomEvent('quick-cart:open', {
-                    cart
-                });
+        settled().then((cart) => {
+            themeEvents.emit('quick-cart:open', {
+                cart
             });
-        }
+        });
     },
     refreshQuickCart() {
         const url = ''.concat(theme.routes.cart.base, '?section_id=').concat(this.id);
@@ -9432,20 +11622,30 @@ register('quick-cart', {
                 const innerContainer = qs(selectors$t.innerContainer, this.container);
                 innerContainer.innerHTML = responseInnerContainer.innerHTML;
             }
+            hydrateCart(this.container);
             this._initCrossSells();
         });
     },
-    handleErrorMessage(key) {
+    handleErrorMessage(key, errorMessage, cart) {
+        // Roll back the optimistic update before showing the error on the line
+        if (cart) renderCartJson(this.container, cart);
         const item = qs('[data-key="'.concat(key, '"]'), this.container);
-        removeClass(qs(selectors$t.cartError, item), classes$c.hidden);
+        const cartError = qs(selectors$t.cartError, item);
+        if (errorMessage) cartError.innerText = errorMessage;
+        removeClass(cartError, classes$c.hidden);
         removeClass(item, classes$c.updatingQuantity);
+        removeClass(item, classes$c.removed);
     },
     handleQuantityUpdate(key) {
         const item = qs('[data-key="'.concat(key, '"]'), this.container);
+        addClass(qs(selectors$t.cartError, item), classes$c.hidden);
+        // Known carts are updated optimistically, so the line stays interactive
+        if (cartClient.cart) return;
         addClass(item, classes$c.updatingQuantity);
     },
     handleItemRemoval(key) {
         const item = qs('[data-key="'.concat(key, '"]'), this.container);
+        if (cartClient.cart) return;
         addClass(item, classes$c.removed);
         addClass(item, classes$c.updatingQuantity);
     },
@@ -9453,8 +11653,11 @@ register('quick-cart', {
         let { target } = _ref4;
         const item = target.closest(selectors$t.quantityItem);
         const { key } = item.dataset;
-        cart.updateItem(key, target.value);
+        // Hides the previous error first, a corrected quantity is explained on the line
         this.handleQuantityUpdate(key);
+        cart.updateItem(key, target.value).catch(() => {
+            // Error is surfaced on the line through `cart:error` / `quick-cart:error`
+        });
     },
     _initCrossSells() {
         const crossSells = qs(selectors$t.crossSells, this.container);
@@ -9490,9 +11693,7 @@ register('quick-cart', {
             document.body.setAttribute('data-fluorescent-overlay-open', 'false');
             enableBodyScroll(this.container);
         }, 500);
-        if (useCustomEvents) {
-            dispatchCustomEvent('quick-cart:close');
-        }
+        themeEvents.emit('quick-cart:close');
     },
     onSelect() {
         this.openQuickCart();
@@ -9505,6 +11706,9 @@ register('quick-cart', {
         this.events.forEach((unsubscribe) => unsubscribe());
         this.quantityButtons.unload();
         this.cartNoteToggle.unload();
+        this.giftOptions.unload();
+        this.lineItemEditor.unload();
+        this.personalizationEditor.unload();
     }
 });
 
@@ -11418,6 +13622,7 @@ register('shoppable', {
         this.quickViewButtons = qsa(selectors$d.quickViewButton, this.container);
         this.purchaseConfirmation = qs(selectors$d.purchaseConfirmation, document);
         this.quickCart = qs(selectors$d.quickCart, document);
+        this.quickAddPanel = quickAddPanel(this.container);
 
         // Self terminating mouseenter events
         this.hotspotEvents = this.hotspots.map((hotspot) => {
@@ -11453,7 +13658,6 @@ register('shoppable', {
                             product: res.items[0]
                         });
                     } else {
-                        r$1('quick-cart:updated');
                         // Need a delay to allow quick-cart to refresh
                         setTimeout(() => {
                             r$1('quick-cart:open');
@@ -11721,6 +13925,7 @@ register('shoppable', {
             _this$animateShoppabl2 === void 0 ||
             _this$animateShoppabl2.destroy();
         this.pulseInterval && clearInterval(this.pulseInterval);
+        this.quickAddPanel && this.quickAddPanel.unload();
     }
 });
 
@@ -11742,6 +13947,7 @@ register('complete-the-look', {
         if (video) {
             this.videoHandler = backgroundVideoHandler(this.container);
         }
+        this.quickAddPanel = quickAddPanel(this.container);
         this.events = [
             listen(quickAddButtons, 'click', (e) => {
                 const buttonEl = e.currentTarget;
@@ -11761,7 +13967,6 @@ register('complete-the-look', {
                             product: res.items[0]
                         });
                     } else {
-                        r$1('quick-cart:updated');
                         // Need a delay to allow quick-cart to refresh
                         setTimeout(() => {
                             r$1('quick-cart:open');
@@ -11788,6 +13993,7 @@ register('complete-the-look', {
         var _this$animateComplete;
         this.videoHandler && this.videoHandler();
         this.events.forEach((unsubscribe) => unsubscribe());
+        this.quickAddPanel && this.quickAddPanel.unload();
         (_this$animateComplete = this.animateCompleteTheLook) === null ||
             _this$animateComplete === void 0 ||
             _this$animateComplete.destroy();
@@ -12590,13 +14796,21 @@ register('cart', {
         this._initCrossSells();
         if (cartNoteTrigger) this.cartNoteToggle = CartNoteToggle(this.container);
         this.quantityButtons = QuantityButtons(this.container);
+        this.giftOptions = GiftOptions(this.container);
+        this.lineItemEditor = LineItemEditor(this.container);
+        this.personalizationEditor = PersonalizationEditor(this.container);
+        hydrateCart(this.container);
 
         // Events are all on events trigger by other components / functions
         this.events = [
             c('cart:updated', () => this.refreshCart()),
             c('cart:error', (_, _ref) => {
-                let { key, errorMessage } = _ref;
-                this.handleErrorMessage(key, errorMessage);
+                let { key, errorMessage, cart } = _ref;
+                this.handleErrorMessage(key, errorMessage, cart);
+            }),
+            c('cart:optimistic', (_, _ref5) => {
+                let { cart } = _ref5;
+                renderCartJson(this.container, cart);
             }),
             c(['quantity-update:subtract', 'quantity-update:add'], (_, _ref2) => {
                 let { key } = _ref2;
@@ -12624,7 +14838,8 @@ register('cart', {
                 const sourceCartItems = qs(selectors$2.cartItems, sourceDom);
                 const sourceCartSubtotalWrapper = qs(selectors$2.cartSubtotalWrapper, sourceDom);
                 const sourceFreeShippingBar = qs(selectors$2.freeShippingBar, sourceDom);
-                if (sourceCartItems) {
+                // The empty state has no items to patch, e.g. after a shared cart was restored
+                if (sourceCartItems && targetCartItems) {
                     targetCartItems.innerHTML = sourceCartItems.innerHTML;
                     targetCartSubtotalWrapper.outerHTML = sourceCartSubtotalWrapper.outerHTML;
                 } else {
@@ -12636,27 +14851,40 @@ register('cart', {
                     freeShippingBar$1.dataset.cartTotal = sourceFreeShippingBar.dataset.cartTotal;
                     freeShippingBar(freeShippingBar$1);
                 }
+                hydrateCart(this.container);
                 this._initCrossSells();
             });
     },
-    handleErrorMessage(key) {
+    handleErrorMessage(key, errorMessage, cart) {
+        // Roll back the optimistic update before showing the error on the line
+        if (cart) renderCartJson(this.container, cart);
         const item = qs('[data-key="'.concat(key, '"]'), this.container);
-        removeClass(qs(selectors$2.cartError, item), 'hidden');
+        const cartError = qs(selectors$2.cartError, item);
+        if (errorMessage) cartError.innerText = errorMessage;
+        removeClass(cartError, 'hidden');
         removeClass(item, classes$5.updatingQuantity);
+        removeClass(item, classes$5.removed);
     },
     handleQuantityInputChange(_ref4) {
         let { target } = _ref4;
         const item = target.closest(selectors$2.quantityItem);
         const { key } = item.dataset;
-        cart.updateItem(key, target.value);
+        // Hides the previous error first, a corrected quantity is explained on the line
         this.handleQuantityUpdate(key);
+        cart.updateItem(key, target.value).catch(() => {
+            // Error is surfaced on the line through `cart:error` / `quick-cart:error`
+        });
     },
     handleQuantityUpdate(key) {
         const item = qs('[data-key="'.concat(key, '"]'), this.container);
+        addClass(qs(selectors$2.cartError, item), 'hidden');
+        // Known carts are updated optimistically, so the line stays interactive
+        if (cartClient.cart) return;
         addClass(item, classes$5.updatingQuantity);
     },
     handleItemRemoval(key) {
         const item = qs('[data-key="'.concat(key, '"]'), this.container);
+        if (cartClient.cart) return;
         addClass(item, classes$5.removed);
         addClass(item, classes$5.updatingQuantity);
     },
@@ -12670,6 +14898,9 @@ register('cart', {
         var _this$cartNoteToggle;
         this.events.forEach((unsubscribe) => unsubscribe());
         this.quantityButtons.unload();
+        this.giftOptions.unload();
+        this.lineItemEditor.unload();
+        this.personalizationEditor.unload();
         (_this$cartNoteToggle = this.cartNoteToggle) === null ||
             _this$cartNoteToggle === void 0 ||
             _this$cartNoteToggle.unload();
@@ -12680,6 +14911,17 @@ register('product', {
     onLoad() {
         this.product = new Product(this.container);
         this.animateProduct = animateProduct(this.container);
+        this.siblingProductLoader = siblingProductLoader(this.container, {
+            onBeforeRender: () => {
+                this.product.unload();
+                this.animateProduct.destroy();
+            },
+            onRender: () => {
+                this.product = new Product(this.container);
+                this.animateProduct = animateProduct(this.container);
+                initLazyMedia();
+            }
+        });
     },
     onBlockSelect(_ref) {
         let { target } = _ref;
@@ -12713,179 +14955,10 @@ register('product', {
         (_this$animateProduct = this.animateProduct) === null ||
             _this$animateProduct === void 0 ||
             _this$animateProduct.destroy();
+        this.siblingProductLoader.unload();
     }
 });
 
-/* @preserve
- * https://github.com/Elkfox/Ajaxinate
- * Copyright (c) 2017 Elkfox Co Pty Ltd (elkfox.com)
- * MIT License (do not remove above copyright!)
- */
-
-/* Configurable options;
- *
- * method: scroll or click
- * container: selector of repeating content
- * pagination: selector of pagination container
- * offset: number of pixels before the bottom to start loading more on scroll
- * loadingText: 'Loading', The text shown during when appending new content
- * callback: null, callback function after new content is appended
- *
- * Usage;
- *
- * import {Ajaxinate} from 'ajaxinate';
- *
- * new Ajaxinate({
- *   offset: 5000,
- *   loadingText: 'Loading more...',
- * });
- */
-
-/* eslint-env browser */
-function Ajaxinate(config) {
-    const settings = config || {};
-
-    const defaults = {
-        method: 'scroll',
-        container: '#AjaxinateContainer',
-        pagination: '#AjaxinatePagination',
-        offset: 0,
-        loadingText: 'Loading',
-        callback: null
-    };
-
-    // Merge custom configs with defaults
-    this.settings = Object.assign(defaults, settings);
-
-    // Functions
-    this.addScrollListeners = this.addScrollListeners.bind(this);
-    this.addClickListener = this.addClickListener.bind(this);
-    this.checkIfPaginationInView = this.checkIfPaginationInView.bind(this);
-    this.preventMultipleClicks = this.preventMultipleClicks.bind(this);
-    this.removeClickListener = this.removeClickListener.bind(this);
-    this.removeScrollListener = this.removeScrollListener.bind(this);
-    this.removePaginationElement = this.removePaginationElement.bind(this);
-    this.destroy = this.destroy.bind(this);
-
-    // Selectors
-    this.containerElement = document.querySelector(this.settings.container);
-    this.paginationElement = document.querySelector(this.settings.pagination);
-    this.initialize();
-}
-
-Ajaxinate.prototype.initialize = function initialize() {
-    if (!this.containerElement) {
-        return;
-    }
-
-    const initializers = {
-        click: this.addClickListener,
-        scroll: this.addScrollListeners
-    };
-
-    initializers[this.settings.method]();
-};
-
-Ajaxinate.prototype.addScrollListeners = function addScrollListeners() {
-    if (!this.paginationElement) {
-        return;
-    }
-
-    document.addEventListener('scroll', this.checkIfPaginationInView);
-    window.addEventListener('resize', this.checkIfPaginationInView);
-    window.addEventListener('orientationchange', this.checkIfPaginationInView);
-};
-
-Ajaxinate.prototype.addClickListener = function addClickListener() {
-    if (!this.paginationElement) {
-        return;
-    }
-
-    this.nextPageLinkElement = this.paginationElement.querySelector('a');
-    this.clickActive = true;
-
-    if (typeof this.nextPageLinkElement !== 'undefined' && this.nextPageLinkElement !== null) {
-        this.nextPageLinkElement.addEventListener('click', this.preventMultipleClicks);
-    }
-};
-
-Ajaxinate.prototype.preventMultipleClicks = function preventMultipleClicks(event) {
-    event.preventDefault();
-
-    if (!this.clickActive) {
-        return;
-    }
-
-    this.nextPageLinkElement.innerText = this.settings.loadingText;
-    this.nextPageUrl = this.nextPageLinkElement.href;
-    this.clickActive = false;
-
-    this.loadMore();
-};
-
-Ajaxinate.prototype.checkIfPaginationInView = function checkIfPaginationInView() {
-    const top = this.paginationElement.getBoundingClientRect().top - this.settings.offset;
-    const bottom = this.paginationElement.getBoundingClientRect().bottom + this.settings.offset;
-
-    if (top <= window.innerHeight && bottom >= 0) {
-        this.nextPageLinkElement = this.paginationElement.querySelector('a');
-        this.removeScrollListener();
-
-        if (this.nextPageLinkElement) {
-            this.nextPageLinkElement.innerText = this.settings.loadingText;
-            this.nextPageUrl = this.nextPageLinkElement.href;
-
-            this.loadMore();
-        }
-    }
-};
-
-Ajaxinate.prototype.loadMore = function getTheHtmlOfTheNextPageWithAnAjaxRequest() {
-    this.request = new XMLHttpRequest();
-    this.request.onreadystatechange = function success() {
-        if (this.request.readyState === 4 && this.request.status === 200) {
-            var parser = new DOMParser();
-            var htmlDoc = parser.parseFromString(this.request.responseText, 'text/html');
-            var newContainer = htmlDoc.querySelectorAll(this.settings.container)[0];
-            var newPagination = htmlDoc.querySelectorAll(this.settings.pagination)[0];
-            this.containerElement.insertAdjacentHTML('beforeend', newContainer.innerHTML);
-            this.paginationElement.innerHTML = newPagination.innerHTML;
-            if (this.settings.callback && typeof this.settings.callback === 'function') {
-                this.settings.callback(this.request.responseXML);
-            }
-            this.initialize();
-        }
-    }.bind(this);
-    this.request.open('GET', this.nextPageUrl);
-    this.request.send();
-};
-
-Ajaxinate.prototype.removeClickListener = function removeClickListener() {
-    this.nextPageLinkElement.removeEventListener('click', this.preventMultipleClicks);
-};
-
-Ajaxinate.prototype.removePaginationElement = function removePaginationElement() {
-    this.paginationElement.innerHTML = '';
-    this.destroy();
-};
-
-Ajaxinate.prototype.removeScrollListener = function removeScrollListener() {
-    document.removeEventListener('scroll', this.checkIfPaginationInView);
-    window.removeEventListener('resize', this.checkIfPaginationInView);
-    window.removeEventListener('orientationchange', this.checkIfPaginationInView);
-};
-
-Ajaxinate.prototype.destroy = function destroy() {
-    const destroyers = {
-        click: this.removeClickListener,
-        scroll: this.removeScrollListener
-    };
-
-    destroyers[this.settings.method]();
-
-    return this;
-};
-
 const filtering = (container) => {
     const forms = qsa('[data-filter-form]', container);
     let formData, searchParams;
@@ -12959,12 +15032,37 @@ const filtering = (container) => {
             form.reset();
         });
     }
+
+    // Checks the inputs of every form to match a set of search params, keeping the hidden ones
+    // such as the search terms
+    function setInputs(params) {
+        forms.forEach((form) => {
+            qsa('input[name]:not([type="hidden"])', form).forEach((input) => {
+                if (input.type === 'checkbox' || input.type === 'radio') {
+                    input.checked = params.getAll(input.name).includes(input.value);
+                } else {
+                    input.value = params.get(input.name) || '';
+                }
+            });
+        });
+    }
     return {
         getState() {
             return {
                 url: searchParams
             };
         },
+
+        // The state after toggling a filter input, without applying it
+        getNextState(target) {
+            const form = target.closest('[data-filter-form]');
+            target.checked = !target.checked;
+            const nextSearchParams = new URLSearchParams(new FormData(form)).toString();
+            target.checked = !target.checked;
+            return {
+                url: nextSearchParams
+            };
+        },
         filtersUpdated(target, cb) {
             syncForms(target);
             setParams(target);
@@ -12986,6 +15084,11 @@ const filtering = (container) => {
             searchParams = '';
             resetForms();
             return cb(this.getState());
+        },
+        applyPreset(url, cb) {
+            setInputs(new URLSearchParams(url));
+            setParams();
+            return cb(this.getState());
         }
     };
 };
@@ -12994,6 +15097,7 @@ const FILTERS_REMOVE = 'collection:filters:remove';
 const RANGE_REMOVE = 'collection:range:remove';
 const EVERYTHING_CLEAR = 'collection:clear';
 const FILTERS_UPDATE = 'collection:filters:update';
+const PRESET_APPLY = 'collection:preset:apply';
 const updateFilters = (target) =>
     r$1(FILTERS_UPDATE, null, {
         target
@@ -13002,13 +15106,18 @@ const removeFilters = (target) =>
     r$1(FILTERS_REMOVE, null, {
         target
     });
+const applyPreset = (searchParams) =>
+    r$1(PRESET_APPLY, null, {
+        searchParams
+    });
 const filtersUpdated = (cb) => c(FILTERS_UPDATE, cb);
+const presetApplied = (cb) => c(PRESET_APPLY, cb);
 const filtersRemoved = (cb) => c(FILTERS_REMOVE, cb);
 const everythingCleared = (cb) => c(EVERYTHING_CLEAR, cb);
 const rangeRemoved = (cb) => c(RANGE_REMOVE, cb);
 
 const filterHandler = (_ref) => {
-    let { container, renderCB } = _ref;
+    let { container, renderCB, prefetchCB } = _ref;
     let subscriptions = null;
     let filters = null;
     let delegate = null;
@@ -13042,6 +15151,13 @@ const filterHandler = (_ref) => {
                 renderCB(data.url);
                 o$1(data)();
             });
+        }),
+        presetApplied((_, _ref4) => {
+            let { searchParams } = _ref4;
+            filters.applyPreset(searchParams, (data) => {
+                renderCB(data.url);
+                o$1(data)();
+            });
         })
     ];
     delegate = new Delegate(container);
@@ -13049,8 +15165,15 @@ const filterHandler = (_ref) => {
         e.preventDefault();
         removeFilters([e.target]);
     });
+
+    // Prefetch the results of toggling the focused filter, the likely next change
+    delegate.on('focusin', '[data-filter-item-input]', (e, target) => {
+        if (!prefetchCB || target.type !== 'checkbox') return;
+        prefetchCB(filters.getNextState(target).url);
+    });
     window.addEventListener('popstate', onPopstate);
     function onPopstate() {
+        if (isQuickViewHistoryChange()) return;
         const url = new URL(window.location);
         const searchParams = url.search.replace('?', '');
         renderCB(searchParams, false);
@@ -13068,13 +15191,216 @@ const filterHandler = (_ref) => {
     };
 };
 
+const selectors$filterPresets = {
+    presets: '[data-filter-presets]',
+    list: '[data-filter-presets-list]',
+    preset: '[data-filter-preset]',
+    saved: '[data-filter-preset-saved]',
+    template: '[data-filter-preset-template]',
+    remove: '[data-filter-preset-remove]',
+    saveWrapper: '[data-filter-preset-save-wrapper]',
+    save: '[data-filter-preset-save]',
+    form: '[data-filter-preset-form]',
+    name: '[data-filter-preset-name]',
+    confirm: '[data-filter-preset-confirm]'
+};
+const classes$filterPresets = {
+    active: 'active',
+    hidden: 'hidden'
+};
+const filterPresetsStorageKey = 'filter_presets';
+
+// Params that aren't filters: kept out of saved presets and ignored when comparing them
+const filterPresetIgnoredParams = ['q', 'options[prefix]', 'page', 'section_id'];
+
+// Search params carried over from the current page into preset links, so presets keep the search terms
+const filterPresetKeptParams = ['q', 'options[prefix]'];
+
+// Returns the filters of a set of search params in a stable order, so presets can be compared
+const getPresetParams = (searchParams) => {
+    const entries = Array.from(new URLSearchParams(searchParams)).filter((_ref) => {
+        let [key, value] = _ref;
+        return value !== '' && !filterPresetIgnoredParams.includes(key);
+    });
+    entries.sort((a, b) => a.join('=').localeCompare(b.join('=')));
+    return new URLSearchParams(entries).toString();
+};
+
+/**
+ * Filter presets listed as chips in the filter bar and drawer. Merchant presets are rendered from the
+ * section settings, and customers can save the current filters as a named preset, kept in localStorage
+ * per page. Presets are applied through the filter handler.
+ * @param {*} node the collection or search section container
+ * @returns update and unload methods
+ */
+const filterPresets = (node) => {
+    const containers = qsa(selectors$filterPresets.presets, node);
+    if (!containers.length) {
+        return false;
+    }
+    const { pathname } = window.location;
+    const delegate = new Delegate(node);
+    let current = getPresetParams(window.location.search);
+    delegate.on('click', selectors$filterPresets.preset, (e, target) => {
+        e.preventDefault();
+        applyPreset(target.dataset.filterPreset);
+    });
+    delegate.on('click', selectors$filterPresets.remove, (e, target) => {
+        const { filterPresetRemove } = target.dataset;
+        setSavedPresets(getSavedPresets().filter((preset) => preset.params !== filterPresetRemove));
+        render();
+    });
+    delegate.on('click', selectors$filterPresets.save, (e, target) => {
+        const container = target.closest(selectors$filterPresets.presets);
+        const open = target.getAttribute('aria-expanded') !== 'true';
+        target.setAttribute('aria-expanded', open);
+        toggleClass(qs(selectors$filterPresets.form, container), classes$filterPresets.hidden, !open);
+        open && qs(selectors$filterPresets.name, container).focus();
+    });
+    delegate.on('click', selectors$filterPresets.confirm, (e, target) => {
+        savePreset(target.closest(selectors$filterPresets.presets));
+    });
+    delegate.on('keydown', selectors$filterPresets.name, (e, target) => {
+        if (e.key !== 'Enter') return;
+
+        // The name input sits in the filter form, which must not be submitted
+        e.preventDefault();
+        savePreset(target.closest(selectors$filterPresets.presets));
+    });
+    render();
+    function getSavedPresets() {
+        const presets = getStorage(filterPresetsStorageKey) || {};
+        return presets[pathname] || [];
+    }
+    function setSavedPresets(saved) {
+        const presets = getStorage(filterPresetsStorageKey) || {};
+        if (saved.length) {
+            presets[pathname] = saved;
+        } else {
+            delete presets[pathname];
+        }
+        setStorage(filterPresetsStorageKey, JSON.stringify(presets));
+    }
+    function savePreset(container) {
+        const nameInput = qs(selectors$filterPresets.name, container);
+        const name = nameInput.value.trim();
+        if (!name || !current) {
+            nameInput.focus();
+            return;
+        }
+        const saved = getSavedPresets().filter((preset) => preset.params !== current && preset.name !== name);
+        setSavedPresets(
+            saved.concat({
+                name,
+                params: current
+            })
+        );
+        nameInput.value = '';
+        qs(selectors$filterPresets.save, container).setAttribute('aria-expanded', false);
+        addClass(qs(selectors$filterPresets.form, container), classes$filterPresets.hidden);
+        render();
+    }
+    function getPresetHref(params) {
+        const searchParams = new URLSearchParams(params);
+        const currentParams = new URLSearchParams(window.location.search);
+        filterPresetKeptParams.forEach((key) => {
+            currentParams.has(key) && searchParams.set(key, currentParams.get(key));
+        });
+        return ''.concat(pathname, '?').concat(searchParams.toString());
+    }
+    function renderSavedPresets(container) {
+        const template = qs(selectors$filterPresets.template, container);
+        if (!template) return;
+        const list = qs(selectors$filterPresets.list, container);
+        qsa(selectors$filterPresets.saved, list).forEach((item) => item.remove());
+        getSavedPresets().forEach((preset) => {
+            const item = template.content.firstElementChild.cloneNode(true);
+            const link = qs(selectors$filterPresets.preset, item);
+            link.dataset.filterPreset = preset.params;
+            link.textContent = preset.name;
+            qs(selectors$filterPresets.remove, item).dataset.filterPresetRemove = preset.params;
+            list.appendChild(item);
+        });
+    }
+    function render() {
+        containers.forEach((container) => {
+            renderSavedPresets(container);
+            let matched = false;
+            qsa(selectors$filterPresets.preset, container).forEach((link) => {
+                link.href = getPresetHref(link.dataset.filterPreset);
+                const active = getPresetParams(link.dataset.filterPreset) === current;
+                matched = matched || active;
+                toggleClass(link, classes$filterPresets.active, active);
+                link.setAttribute('aria-current', active);
+            });
+
+            // Only offered for filters that aren't a preset already
+            const saveWrapper = qs(selectors$filterPresets.saveWrapper, container);
+            saveWrapper && toggleClass(saveWrapper, classes$filterPresets.hidden, !current || matched);
+        });
+    }
+    function update(searchParams) {
+        current = getPresetParams(searchParams);
+        render();
+    }
+    function unload() {
+        delegate.off();
+    }
+    return {
+        update,
+        unload
+    };
+};
+
 const { strings: strings$2 } = window.theme;
+const priceHistogramBucketCount = 20;
+
+const priceHistogramSectionId = 'price-histogram';
+const priceHistogramIgnoredParams = [
+    'page',
+    'sort_by',
+    quickViewUrlParam,
+    'filter.v.price.gte',
+    'filter.v.price.lte'
+];
+const priceHistogramCache = new Map();
+
+// Product prices of all results the price filter selects from, in cents. The price histogram section
+// is rendered without the price filter and page, and shared by the filter bar, drawer and sidebar
+const fetchHistogramPrices = (searchParams) => {
+    const params = new URLSearchParams(searchParams);
+    priceHistogramIgnoredParams.forEach((param) => params.delete(param));
+    params.set('section_id', priceHistogramSectionId);
+    const url = ''.concat(window.location.pathname, '?').concat(params.toString());
+    if (!priceHistogramCache.has(url)) {
+        const request = fetch(url)
+            .then((response) => {
+                if (!response.ok) throw new Error(''.concat(url, ' responded with ', response.status));
+                return response.text();
+            })
+            .then((text) => {
+                const doc = new DOMParser().parseFromString(text, 'text/html');
+                const data = qs('[data-price-histogram-data]', doc);
+                return data ? JSON.parse(data.textContent) : [];
+            })
+            .catch((error) => {
+                console.error('Could not load the price histogram', error);
+                priceHistogramCache.delete(url);
+                return [];
+            });
+        priceHistogramCache.set(url, request);
+    }
+    return priceHistogramCache.get(url);
+};
 const priceRange = (container) => {
+    let prices = [];
     const inputs = qsa('input', container);
     const minInput = inputs[0];
     const maxInput = inputs[1];
     const events = [listen(inputs, 'change', onRangeChange)];
     const slider = qs('[data-range-slider]', container);
+    const histogram = qs('[data-price-histogram]', container);
+    updateHistogram(window.location.search);
     let min = Math.floor(minInput.value ? minInput.value : minInput.getAttribute('min'));
     let max = Math.floor(maxInput.value ? maxInput.value : maxInput.getAttribute('max'));
     import(new URL(flu.chunks.nouislider, window.location.origin).href).then((_ref) => {
@@ -13104,8 +15430,12 @@ const priceRange = (container) => {
             minInput.value = Math.floor(minNew);
             maxInput.value = Math.floor(maxNew);
             setMinAndMaxValues();
+            highlightHistogram(minNew, maxNew);
         });
-        slider.noUiSlider.on('set', (e) => {
+
+        // Only fired by the customer, once a drag ends, so the inputs don't trigger a render
+        // while dragging or when the slider follows them
+        slider.noUiSlider.on('change', (e) => {
             let maxNew, minNew;
             minNew = Math.floor(e[0]);
             maxNew = Math.floor(e[1]);
@@ -13123,6 +15453,46 @@ const priceRange = (container) => {
         });
         setMinAndMaxValues();
     });
+    function renderHistogram() {
+        if (!histogram) return;
+        const rangeMin = parseInt(minInput.getAttribute('min'));
+        const rangeMax = parseInt(maxInput.getAttribute('max'));
+        const bucketSize = (rangeMax - rangeMin) / priceHistogramBucketCount || 1;
+        const counts = new Array(priceHistogramBucketCount).fill(0);
+        prices.forEach((price) => {
+            const index = Math.floor((price / 100 - rangeMin) / bucketSize);
+            counts[Math.min(Math.max(index, 0), priceHistogramBucketCount - 1)] += 1;
+        });
+        const highestCount = Math.max(...counts, 1);
+        histogram.innerHTML = '';
+        counts.forEach((count, index) => {
+            const bar = document.createElement('span');
+            bar.className = 'filter-drawer__histogram-bar';
+            bar.dataset.from = rangeMin + index * bucketSize;
+            bar.dataset.to = rangeMin + (index + 1) * bucketSize;
+            bar.style.height = ''.concat((count / highestCount) * 100, '%');
+            histogram.appendChild(bar);
+        });
+        highlightHistogram(
+            minInput.value || minInput.getAttribute('min'),
+            maxInput.value || maxInput.getAttribute('max')
+        );
+    }
+
+    // Highlights the buckets within the selected range
+    function highlightHistogram(from, to) {
+        if (!histogram) return;
+        qsa('.filter-drawer__histogram-bar', histogram).forEach((bar) => {
+            toggleClass(bar, 'active', Number(bar.dataset.to) > from && Number(bar.dataset.from) < to);
+        });
+    }
+    function updateHistogram(searchParams) {
+        if (!histogram) return;
+        fetchHistogramPrices(searchParams).then((updatedPrices) => {
+            prices = updatedPrices;
+            renderHistogram();
+        });
+    }
     function setMinAndMaxValues() {
         if (maxInput.value) minInput.setAttribute('max', maxInput.value);
         if (minInput.value) maxInput.setAttribute('min', minInput.value);
@@ -13153,6 +15523,11 @@ const priceRange = (container) => {
     function onRangeChange(event) {
         adjustToValidValues(event.currentTarget);
         setMinAndMaxValues();
+
+        // Keeps the last applied range for the slider's change handler, as setting the slider
+        // from the inputs doesn't fire it
+        min = Math.floor(minInput.value ? minInput.value : minInput.getAttribute('min'));
+        max = Math.floor(maxInput.value ? maxInput.value : maxInput.getAttribute('max'));
         if (minInput.value === '' && maxInput.value === '') return;
         let currentMax, currentMin;
         [currentMin, currentMax] = slider.noUiSlider.get();
@@ -13160,6 +15535,10 @@ const priceRange = (container) => {
         currentMax = Math.floor(currentMax);
         if (currentMin !== Math.floor(minInput.value)) slider.noUiSlider.set([minInput.value, null]);
         if (currentMax !== Math.floor(maxInput.value)) slider.noUiSlider.set([null, maxInput.value]);
+        highlightHistogram(
+            minInput.value || minInput.getAttribute('min'),
+            maxInput.value || maxInput.getAttribute('max')
+        );
     }
     function validateRange() {
         inputs.forEach((input) => setMinAndMaxValues());
@@ -13171,6 +15550,7 @@ const priceRange = (container) => {
         min = Math.floor(minInput.getAttribute('min'));
         max = Math.floor(maxInput.getAttribute('max'));
         setMinAndMaxValues();
+        highlightHistogram(min, max);
     };
     const unload = () => {
         events.forEach((unsubscribe) => unsubscribe());
@@ -13179,7 +15559,8 @@ const priceRange = (container) => {
     return {
         unload,
         reset,
-        validateRange
+        validateRange,
+        updateHistogram
     };
 };
 
@@ -13419,6 +15800,9 @@ const filterDrawer = (node) => {
         updateInnerHTML(''.concat(sel$2.drawer, ' ').concat(sel$2.activeFilters), updatedDoc);
         updateInnerHTML(''.concat(sel$2.drawer, ' ').concat(sel$2.drawerTitle), updatedDoc);
         updateInnerHTML('[data-mobile-filters] [data-mobile-filters-toggle]', updatedDoc);
+
+        // The results are rendered and the URL updated before the filters are
+        range && range.updateHistogram(window.location.search);
     }
     function unload() {
         events.forEach((unsubscribe) => unsubscribe());
@@ -13735,6 +16119,9 @@ const filterBar = (node) => {
             );
         });
         updateGroupPositions();
+
+        // The results are rendered and the URL updated before the filters are
+        range && range.updateHistogram(window.location.search);
     }
     function unload() {
         events.forEach((unsubscribe) => unsubscribe());
@@ -13904,6 +16291,9 @@ const filterSidebar = (node) => {
         updateInnerHTML(''.concat(sel.filterBar, ' ').concat(sel.resultsCount), updatedDoc);
         updateInnerHTML(''.concat(sel.filterBar, ' ').concat(sel.activeFilters), updatedDoc);
         updateInnerHTML(''.concat(sel.filterBar, ' ').concat(sel.sidebarToggle), updatedDoc);
+
+        // The results are rendered and the URL updated before the filters are
+        range && range.updateHistogram(window.location.search);
     }
     function unload() {
         events.forEach((unsubscribe) => unsubscribe());
@@ -13916,15 +16306,12 @@ const filterSidebar = (node) => {
 };
 
 const selectors$1 = {
-    infiniteScrollContainer: '.collection__infinite-container',
-    infiniteScrollTrigger: '.collection__infinite-trigger',
     partial: '[data-partial]',
     filterDrawer: '[data-filter-drawer]',
     filterBar: '[data-filter-bar]',
     filterSidebar: '[data-filter-sidebar]',
     loader: '.collection__loading',
-    paginationItemCount: '[data-pagination-item-count]',
-    productItems: '.product-item'
+    paginationItemCount: '[data-pagination-item-count]'
 };
 const classes$1 = {
     active: 'is-active',
@@ -13932,7 +16319,7 @@ const classes$1 = {
 };
 const { strings: strings$1 } = window.theme;
 register('collection', {
-    infiniteScroll: null,
+    pager: null,
     onLoad() {
         const { collectionItemCount, paginationType } = this.container.dataset;
         if (!parseInt(collectionItemCount)) return;
@@ -13944,9 +16331,12 @@ register('collection', {
             this.filterDrawer = filterDrawer(this.container);
             this.filterBar = filterBar(this.container);
             this.filterSidebar = filterSidebar(this.container);
+            this.filterPresets = filterPresets(this.container);
+            this.sectionRenderer = new SectionRenderer(this.container.dataset.sectionId);
             this.filterHandler = filterHandler({
                 container: this.container,
-                renderCB: this._renderView.bind(this)
+                renderCB: this._renderView.bind(this),
+                prefetchCB: (searchParams) => this.sectionRenderer.prefetch(searchParams)
             });
             if (this.filterSidebar && this.container.dataset.enableStickyFilterSidebar === 'true') {
                 this.mobileQuery = window.matchMedia(getMediaQuery('below-960'));
@@ -13960,9 +16350,8 @@ register('collection', {
         // Infinite scroll
         this.paginationType = paginationType;
         this.paginated = this.paginationType === 'paginated';
-        this.infiniteScrollTrigger = qs(selectors$1.infiniteScrollTrigger, this.container);
         if (!this.paginated) {
-            this._initInfiniteScroll();
+            this._initPager();
         }
         this.productItem = ProductItem(this.container);
         if (shouldAnimate(this.container)) {
@@ -13979,12 +16368,10 @@ register('collection', {
             this.stickyScroll = stickyScroll(this.container);
         }
     },
-    _initInfiniteScroll() {
-        const infiniteScrollOptions = {
-            container: selectors$1.infiniteScrollContainer,
-            pagination: selectors$1.infiniteScrollTrigger,
-            loadingText: 'Loading...',
-            callback: () => {
+    _initPager() {
+        this.pager = new InfinitePager(this.container, this.container.dataset.sectionId, {
+            method: this.paginationType === 'click' ? 'click' : 'scroll',
+            onLoad: () => {
                 var _this$animateCollecti;
                 this.productItem && this.productItem.unload();
                 this.productItem = ProductItem(this.container);
@@ -13995,31 +16382,24 @@ register('collection', {
                 initLazyMedia();
                 r$1('collection:updated');
             }
-        };
-        if (this.paginationType === 'click') {
-            infiniteScrollOptions.method = 'click';
-        }
-        this.infiniteScroll = new Ajaxinate(infiniteScrollOptions);
+        });
     },
     _updatePaginationCount() {
-        const productItemCount = qsa(selectors$1.productItems, this.container).length;
-        const viewing = strings$1.pagination.viewing
-            .replace('{{ of }}', '1-'.concat(productItemCount))
-            .replace('{{ total }}', this.partial.dataset.collectionProductsCount);
+        const { first, last, pageSize } = this.pager.getRange();
+        const total = parseInt(this.partial.dataset.collectionProductsCount, 10);
+        const range = ''.concat((first - 1) * pageSize + 1, '-').concat(Math.min(last * pageSize, total));
+        const viewing = strings$1.pagination.viewing.replace('{{ of }}', range).replace('{{ total }}', total);
         this.paginationItemCount.innerHTML = ''.concat(viewing, ' ').concat(strings$1.pagination.products);
     },
     _renderView(searchParams) {
         let updateHistory = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : true;
-        const url = ''
-            .concat(window.location.pathname, '?section_id=')
-            .concat(this.container.dataset.sectionId, '&')
-            .concat(searchParams);
         const loading = qs(selectors$1.loader, this.container);
         addClass(this.partial, classes$1.hideProducts);
         addClass(loading, classes$1.active);
-        fetch(url)
-            .then((res) => res.text())
-            .then((res) => {
+
+        // Earlier renders still loading are aborted, so only the latest filters are shown
+        this.sectionRenderer.render(searchParams).then(
+            (res) => {
                 var _this$animateCollecti2;
                 if (updateHistory) {
                     this._updateURLHash(searchParams);
@@ -14031,19 +16411,35 @@ register('collection', {
                 (_this$animateCollecti2 = this.animateCollection) === null ||
                     _this$animateCollecti2 === void 0 ||
                     _this$animateCollecti2.updateContents();
-                if (!this.paginated && this.infiniteScrollTrigger) {
-                    this.infiniteScrollTrigger.innerHTML = '';
-                    this._initInfiniteScroll();
+                if (!this.paginated) {
+                    this.pager && this.pager.unload();
+                    this._initPager();
                 }
                 this.filterDrawer && this.filterDrawer.renderFilters(doc);
                 this.filterBar && this.filterBar.renderFilters(doc);
                 this.filterSidebar && this.filterSidebar.renderFilters(doc);
+                this.filterPresets && this.filterPresets.update(searchParams);
                 this.productItem && this.productItem.unload();
                 this.productItem = ProductItem(this.container);
                 this.paginationItemCount = qs(selectors$1.paginationItemCount, this.container);
                 removeClass(loading, classes$1.active);
                 r$1('collection:updated');
-            });
+                themeEvents.emit('filters:updated', {
+                    source: 'collection',
+                    searchParams,
+                    productCount: parseInt(this.partial.dataset.collectionProductsCount, 10)
+                });
+            },
+            (error) => {
+                if (error.name === 'AbortError') return;
+                removeClass(this.partial, classes$1.hideProducts);
+                removeClass(loading, classes$1.active);
+
+                // Fall back to loading the filtered page when the section can't be fetched,
+                // errors while rendering it are left to surface
+                window.location = '?'.concat(searchParams);
+            }
+        );
     },
     _updateURLHash(searchParams) {
         history.pushState(
@@ -14056,11 +16452,12 @@ register('collection', {
     },
     onUnload() {
         var _this$animateCollecti3;
-        this.infiniteScroll && this.infiniteScroll.destroy();
+        this.pager && this.pager.unload();
         this.filterHandler && this.filterHandler.unload();
         this.filterDrawer && this.filterDrawer.unload();
         this.filterBar && this.filterBar.unload();
         this.filterSidebar && this.filterSidebar.unload();
+        this.filterPresets && this.filterPresets.unload();
         this.filtering && this.filtering.unload();
         this.productItem && this.productItem.unload();
         (_this$animateCollecti3 = this.animateCollection) === null ||
@@ -14232,15 +16629,12 @@ register('page', {
 const selectors = {
     searchSection: '.search',
     searchBanner: '.search-header',
-    infiniteScrollContainer: '.search__infinite-container',
-    infiniteScrollTrigger: '.search__infinite-trigger',
     partial: '[data-partial]',
     filterDrawer: '[data-filter-drawer]',
     filterBar: '[data-filter-bar]',
     filterSidebar: '[data-filter-sidebar]',
     loader: '.search__loading',
-    paginationItemCount: '[data-pagination-item-count]',
-    searchItems: '.product-item, .search-item'
+    paginationItemCount: '[data-pagination-item-count]'
 };
 const classes = {
     active: 'is-active',
@@ -14248,7 +16642,7 @@ const classes = {
 };
 const { strings } = window.theme;
 register('search', {
-    infiniteScroll: null,
+    pager: null,
     onLoad() {
         this.searchBannerEl = qs(selectors.searchBanner, this.container);
         if (shouldAnimate(this.searchBannerEl)) {
@@ -14265,9 +16659,12 @@ register('search', {
             this.filterDrawer = filterDrawer(this.searchSectionEl);
             this.filterBar = filterBar(this.searchSectionEl);
             this.filterSidebar = filterSidebar(this.searchSectionEl);
+            this.filterPresets = filterPresets(this.searchSectionEl);
+            this.sectionRenderer = new SectionRenderer(this.container.dataset.sectionId);
             this.filterHandler = filterHandler({
                 container: this.searchSectionEl,
-                renderCB: this._renderView.bind(this)
+                renderCB: this._renderView.bind(this),
+                prefetchCB: (searchParams) => this.sectionRenderer.prefetch(searchParams)
             });
             if (this.filterSidebar && this.searchSectionEl.dataset.enableStickyFilterSidebar === 'true') {
                 this.mobileQuery = window.matchMedia(getMediaQuery('below-960'));
@@ -14281,9 +16678,8 @@ register('search', {
         // Ininite scroll
         this.paginationType = paginationType;
         this.paginated = this.paginationType === 'paginated';
-        this.infiniteScrollTrigger = qs(selectors.infiniteScrollTrigger, this.container);
         if (!this.paginated) {
-            this._initInfiniteScroll();
+            this._initPager();
         }
         this.productItem = ProductItem(this.container);
         if (shouldAnimate(this.searchSectionEl)) {
@@ -14300,12 +16696,10 @@ register('search', {
             this.stickyScroll = stickyScroll(this.searchSectionEl);
         }
     },
-    _initInfiniteScroll() {
-        const infiniteScrollOptions = {
-            container: selectors.infiniteScrollContainer,
-            pagination: selectors.infiniteScrollTrigger,
-            loadingText: 'Loading...',
-            callback: () => {
+    _initPager() {
+        this.pager = new InfinitePager(this.container, this.container.dataset.sectionId, {
+            method: this.paginationType === 'click' ? 'click' : 'scroll',
+            onLoad: () => {
                 var _this$animateSearch;
                 this.productItem && this.productItem.unload();
                 this.productItem = ProductItem(this.container);
@@ -14315,30 +16709,23 @@ register('search', {
                 this._updatePaginationCount();
                 r$1('collection:updated');
             }
-        };
-        if (this.paginationType === 'click') {
-            infiniteScrollOptions.method = 'click';
-        }
-        this.infiniteScroll = new Ajaxinate(infiniteScrollOptions);
+        });
     },
     _updatePaginationCount() {
-        const searchItemCount = qsa(selectors.searchItems, this.container).length;
-        const viewing = strings.pagination.viewing
-            .replace('{{ of }}', '1-'.concat(searchItemCount))
-            .replace('{{ total }}', this.partial.dataset.searchResultsCount);
+        const { first, last, pageSize } = this.pager.getRange();
+        const total = parseInt(this.partial.dataset.searchResultsCount, 10);
+        const range = ''.concat((first - 1) * pageSize + 1, '-').concat(Math.min(last * pageSize, total));
+        const viewing = strings.pagination.viewing.replace('{{ of }}', range).replace('{{ total }}', total);
         this.paginationItemCount.innerHTML = ''.concat(viewing, ' ').concat(strings.pagination.results);
     },
     _renderView(searchParams) {
         let updateHistory = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : true;
-        const url = ''
-            .concat(window.location.pathname, '?section_id=')
-            .concat(this.container.dataset.sectionId, '&')
-            .concat(searchParams);
         const loading = qs(selectors.loader, this.container);
         addClass(loading, classes.active);
-        fetch(url)
-            .then((res) => res.text())
-            .then((res) => {
+
+        // Earlier renders still loading are aborted, so only the latest filters are shown
+        this.sectionRenderer.render(searchParams).then(
+            (res) => {
                 var _this$animateSearch2;
                 if (updateHistory) {
                     this._updateURLHash(searchParams);
@@ -14350,19 +16737,34 @@ register('search', {
                 (_this$animateSearch2 = this.animateSearch) === null ||
                     _this$animateSearch2 === void 0 ||
                     _this$animateSearch2.updateContents();
-                if (!this.paginated && this.infiniteScrollTrigger) {
-                    this.infiniteScrollTrigger.innerHTML = '';
-                    this._initInfiniteScroll();
+                if (!this.paginated) {
+                    this.pager && this.pager.unload();
+                    this._initPager();
                 }
                 this.filterDrawer && this.filterDrawer.renderFilters(doc);
                 this.filterBar && this.filterBar.renderFilters(doc);
                 this.filterSidebar && this.filterSidebar.renderFilters(doc);
+                this.filterPresets && this.filterPresets.update(searchParams);
                 this.productItem && this.productItem.unload();
                 this.productItem = ProductItem(this.container);
                 this.paginationItemCount = qs(selectors.paginationItemCount, this.container);
                 removeClass(loading, classes.active);
                 r$1('collection:updated');
-            });
+                themeEvents.emit('filters:updated', {
+                    source: 'search',
+                    searchParams,
+                    productCount: parseInt(this.partial.dataset.searchResultsCount, 10)
+                });
+            },
+            (error) => {
+                if (error.name === 'AbortError') return;
+                removeClass(loading, classes.active);
+
+                // Fall back to loading the filtered page when the section can't be fetched,
+                // errors while rendering it are left to surface
+                window.location = '?'.concat(searchParams);
+            }
+        );
     },
     _updateURLHash(searchParams) {
         history.pushState(
@@ -14375,11 +16777,12 @@ register('search', {
     },
     onUnload() {
         var _this$animateSearch3, _this$animateSearchBa;
-        this.infiniteScroll && this.infiniteScroll.destroy();
+        this.pager && this.pager.unload();
         this.filterHandler && this.filterHandler.unload();
         this.filterDrawer && this.filterDrawer.unload();
         this.filterBar && this.filterBar.unload();
         this.filterSidebar && this.filterSidebar.unload();
+        this.filterPresets && this.filterPresets.unload();
         this.filtering && this.filtering.unload();
         this.productItem && this.productItem.unload();
         (_this$animateSearch3 = this.animateSearch) === null ||
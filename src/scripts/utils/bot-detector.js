@@ -1,6 +1,8 @@
 // simplified-bot-detector.js
 // Passive bot detection - just tags cart, doesn't block
 
+import cartClient, { CartClient } from './cart-client.js';
+
 // Simple configuration - easy to modify
 const CONFIG = {
     // Basic settings
@@ -13,16 +15,88 @@ const CONFIG = {
     REQUIRE_CHECKOUT_CLICK: false,
     CHECK_WEBDRIVER: true,
 
+    // Scoring - every signal that fires adds its weight, carts scoring at or
+    // above the threshold are tagged as bots. The full breakdown is sent too,
+    // so the back office can apply its own cut-off.
+    // Passive signals (no keyboard or touch, no scroll) are weighted low, as plenty of real visitors
+    // add to cart without either - on their own with a fast add they stay below the threshold.
+    SCORE_THRESHOLD: 60,
+    WEIGHTS: {
+        honeypot: 100,
+        webdriver: 60,
+        tooFast: 30,
+        noMouseMovement: 20,
+        noKeyboardOrTouch: 5,
+        noScroll: 5,
+        noVariantChange: 10,
+        noAddButtonClick: 10,
+        noCheckoutClick: 10,
+        addedWhileHidden: 15,
+        rapidAdds: 25,
+        repeatedQuantities: 15,
+        frequentVisibilityChanges: 10
+    },
+    MAX_ADDS_PER_MINUTE: 5,
+    // Flag pages hidden and shown more often than this before an add, e.g. tabs cycled by a script
+    MAX_VISIBILITY_CHANGES: 20,
+    // Flag this many adds in a row with the same quantity (above 1)
+    REPEATED_QUANTITY_COUNT: 3,
+
     HONEYPOT_FIELD_NAME: 'website',
     CART_ATTR_RESULT: 'is-human',
     CART_ATTR_TIMESTAMP: 'bot-check-timestamp',
     CART_ATTR_DETAILS: 'bot-check-details'
 };
 
-class BotDetector {
+// Issue names for signals that predate the score model, others are the signal name in kebab case
+const ISSUE_NAMES = {
+    honeypot: 'honeypot-filled',
+    webdriver: 'webdriver-detected'
+};
+
+// Theme settings exposed on window.theme.botDetection, mapped to CONFIG keys
+const THEME_SETTINGS = {
+    debug: 'DEBUG',
+    minTimeCartAddMs: 'MIN_TIME_CART_ADD_MS',
+    requireMouseMovement: 'REQUIRE_MOUSE_MOVEMENT',
+    requireVariantChange: 'REQUIRE_VARIANT_CHANGE',
+    requireAddButtonClick: 'REQUIRE_ADD_BUTTON_CLICK',
+    requireCheckoutClick: 'REQUIRE_CHECKOUT_CLICK',
+    checkWebdriver: 'CHECK_WEBDRIVER',
+    scoreThreshold: 'SCORE_THRESHOLD'
+};
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Build a custom config from the theme settings, unset settings keep the defaults.
+// Weights are set per signal in `weights`, e.g. { tooFast: 30 }
+export function getThemeConfig() {
+    const settings = window.theme?.botDetection || {};
+
+    const config = Object.entries(THEME_SETTINGS).reduce((config, [setting, key]) => {
+        if (isSet(settings[setting])) {
+            config[key] = settings[setting];
+        }
+        return config;
+    }, {});
+
+    const weights = Object.entries(settings.weights || {}).filter(([, weight]) => isSet(weight));
+
+    if (weights.length) {
+        config.WEIGHTS = Object.fromEntries(weights);
+    }
+
+    return config;
+}
+
+export class BotDetector {
     constructor(customConfig = {}) {
-        // Merge custom config with defaults
-        this.config = { ...CONFIG, ...customConfig };
+        // Merge custom config with defaults, weights are merged one by one
+        this.config = {
+            ...CONFIG,
+            ...customConfig,
+            WEIGHTS: { ...CONFIG.WEIGHTS, ...customConfig.WEIGHTS }
+        };
 
         this.isHuman = false;
         this.startTime = Date.now();
@@ -31,6 +105,11 @@ class BotDetector {
         this.variantChanged = false;
         this.addButtonClicked = false;
         this.checkoutButtonClicked = false;
+        this.hasKeyboardOrTouch = false;
+        this.hasScrolled = false;
+        this.visibilityChanges = 0;
+        this.addTimestamps = [];
+        this.addQuantities = [];
 
         this.log('🤖 Bot detector initialized', this.config);
         this.init();
@@ -86,6 +165,35 @@ class BotDetector {
             this.hasMouseMoved = true; // Skip check if not required
         }
 
+        // Keyboard and touch interaction
+        ['keydown', 'touchstart'].forEach((type) => {
+            document.addEventListener(
+                type,
+                () => {
+                    if (!this.hasKeyboardOrTouch) {
+                        this.hasKeyboardOrTouch = true;
+                        this.log(`⌨️ ${type} detected`);
+                    }
+                },
+                { once: true, passive: true }
+            );
+        });
+
+        // Scroll activity
+        window.addEventListener(
+            'scroll',
+            () => {
+                this.hasScrolled = true;
+                this.log('📜 Scroll detected');
+            },
+            { once: true, passive: true }
+        );
+
+        // Page visibility changes (switching tabs, minimising)
+        document.addEventListener('visibilitychange', () => {
+            this.visibilityChanges += 1;
+        });
+
         // Variant change detection
         if (this.config.REQUIRE_VARIANT_CHANGE) {
             document.addEventListener('product:variant-change', () => {
@@ -100,15 +208,11 @@ class BotDetector {
 
         // Button click monitoring
         document.addEventListener('click', (e) => {
-            // Check for add to cart button
+            // Track add button clicks, the add itself is tagged below
             const isAddToCart = e.target.closest('[data-add-to-cart], button[name="add"], input[name="add"]');
             if (isAddToCart) {
-                // Track specific add button click if required
-                if (e.target.matches('button[name="add"]') || e.target.closest('button[name="add"]')) {
-                    this.addButtonClicked = true;
-                    this.log('🛒 Add button clicked');
-                }
-                this.handleAddToCart(e);
+                this.addButtonClicked = true;
+                this.log('🛒 Add button clicked');
             }
 
             // Check for checkout button
@@ -120,6 +224,23 @@ class BotDetector {
             }
         });
 
+        // AJAX adds (product forms, quick add, shoppable hotspots, quick view) all go through the cart client
+        // Adds the theme makes on its own (e.g. restoring a shared cart on load) would always score as too fast
+        cartClient.on('add', ({ body, automatic }) => {
+            if (automatic) {
+                this.log('⏭️ Automatic add skipped');
+                return;
+            }
+            this.handleAddToCart({ quantity: this.getQuantity(body) });
+        });
+
+        // Forms posted natively to /cart/add navigate away, so they are tagged with a keepalive request
+        document.addEventListener('submit', (e) => {
+            if (e.defaultPrevented || !e.target.matches('form[action*="/cart/add"]')) return;
+            const quantity = parseInt(new FormData(e.target).get('quantity'), 10) || 1;
+            this.handleAddToCart({ quantity, keepalive: true });
+        });
+
         // Set defaults for non-required checks
         if (!this.config.REQUIRE_ADD_BUTTON_CLICK) {
             this.addButtonClicked = true;
@@ -129,73 +250,97 @@ class BotDetector {
         }
     }
 
-    // Main bot detection logic - just tag, don't block
-    handleAddToCart(event) {
-        const timeElapsed = Date.now() - this.startTime;
-        const results = this.runDetection(timeElapsed);
-
-        this.log('🔍 Bot detection results:', results);
-
-        // Always allow the add to cart to proceed
-        // Just tag the cart with our findings
-        this.updateCartAttributes(results);
+    // Total quantity of an add request, JSON (`{ items: [...] }`) or urlencoded form body
+    getQuantity(body) {
+        if (typeof body === 'string') {
+            return parseInt(new URLSearchParams(body).get('quantity'), 10) || 1;
+        }
 
-        this.isHuman = results.isHuman;
-        return true;
+        return (body?.items || []).reduce((total, item) => total + (parseInt(item.quantity, 10) || 1), 0);
     }
 
-    // Simple human/bot detection
-    runDetection(timeElapsed) {
-        const issues = [];
-        let isHuman = true;
+    // Main bot detection logic - just tag, don't block
+    handleAddToCart({ quantity = 1, keepalive = false } = {}) {
+        // Never let detection errors reach the add to cart or checkout
+        try {
+            const now = Date.now();
+            this.addTimestamps.push(now);
+            this.addQuantities.push(quantity);
 
-        // Check 1: Honeypot filled (strong bot signal)
-        if (this.honeypotTriggered) {
-            issues.push('honeypot-filled');
-            isHuman = false;
-        }
+            const timeElapsed = now - this.startTime;
+            const results = this.runDetection(timeElapsed);
 
-        // Check 2: Too fast (likely bot)
-        if (timeElapsed < this.config.MIN_TIME_CART_ADD_MS) {
-            issues.push(`too-fast-${timeElapsed}ms`);
-            isHuman = false;
-        }
+            this.log('🔍 Bot detection results:', results);
 
-        // Check 3: No mouse movement (if required)
-        if (this.config.REQUIRE_MOUSE_MOVEMENT && !this.hasMouseMoved) {
-            issues.push('no-mouse-movement');
-            isHuman = false;
-        }
+            // Always allow the add to cart to proceed
+            // Just tag the cart with our findings
+            this.updateCartAttributes(results, { keepalive });
 
-        // Check 4: No variant change (if required)
-        if (this.config.REQUIRE_VARIANT_CHANGE && !this.variantChanged) {
-            issues.push('no-variant-change');
-            isHuman = false;
+            this.isHuman = results.isHuman;
+        } catch (error) {
+            this.log('❌ Bot detection failed:', error.message);
         }
+        return true;
+    }
 
-        // Check 5: No add button click (if required)
-        if (this.config.REQUIRE_ADD_BUTTON_CLICK && !this.addButtonClicked) {
-            issues.push('no-add-button-click');
-            isHuman = false;
-        }
+    // Weighted human/bot detection
+    runDetection(timeElapsed) {
+        const { WEIGHTS } = this.config;
+        const now = Date.now();
+        // Only the last minute of adds and the last few quantities are needed
+        this.addTimestamps = this.addTimestamps.filter((timestamp) => now - timestamp < 60000);
+        this.addQuantities = this.addQuantities.slice(-this.config.REPEATED_QUANTITY_COUNT);
+
+        const addsLastMinute = this.addTimestamps.length;
+        const recentQuantities = this.addQuantities;
+
+        // Rule based signals (REQUIRE_*, CHECK_*) only fire when their rule is enabled
+        const checks = {
+            honeypot: this.honeypotTriggered,
+            webdriver: this.config.CHECK_WEBDRIVER && Boolean(navigator.webdriver),
+            tooFast: timeElapsed < this.config.MIN_TIME_CART_ADD_MS,
+            noMouseMovement: this.config.REQUIRE_MOUSE_MOVEMENT && !this.hasMouseMoved,
+            noKeyboardOrTouch: !this.hasKeyboardOrTouch,
+            noScroll: !this.hasScrolled,
+            noVariantChange: this.config.REQUIRE_VARIANT_CHANGE && !this.variantChanged,
+            noAddButtonClick: this.config.REQUIRE_ADD_BUTTON_CLICK && !this.addButtonClicked,
+            noCheckoutClick: this.config.REQUIRE_CHECKOUT_CLICK && !this.checkoutButtonClicked,
+            addedWhileHidden: document.visibilityState === 'hidden',
+            rapidAdds: addsLastMinute > this.config.MAX_ADDS_PER_MINUTE,
+            repeatedQuantities:
+                recentQuantities.length >= this.config.REPEATED_QUANTITY_COUNT &&
+                recentQuantities[0] > 1 &&
+                recentQuantities.every((quantity) => quantity === recentQuantities[0]),
+            frequentVisibilityChanges: this.visibilityChanges > this.config.MAX_VISIBILITY_CHANGES
+        };
 
-        // Check 6: No checkout button click (if required)
-        if (this.config.REQUIRE_CHECKOUT_CLICK && !this.checkoutButtonClicked) {
-            issues.push('no-checkout-click');
-            isHuman = false;
-        }
+        // Score contribution of every signal, 0 when it didn't fire
+        const signals = {};
+        const issueNames = { ...ISSUE_NAMES, tooFast: `too-fast-${timeElapsed}ms` };
+        const issues = [];
+        Object.entries(checks).forEach(([signal, fired]) => {
+            signals[signal] = fired ? WEIGHTS[signal] || 0 : 0;
+            if (fired) {
+                issues.push(
+                    issueNames[signal] || signal.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)
+                );
+            }
+        });
 
-        // Check 7: WebDriver detection (if enabled)
-        if (this.config.CHECK_WEBDRIVER && navigator.webdriver) {
-            issues.push('webdriver-detected');
-            isHuman = false;
-        }
+        const score = Object.values(signals).reduce((total, weight) => total + weight, 0);
 
         return {
-            isHuman,
+            isHuman: score < this.config.SCORE_THRESHOLD,
+            score,
+            threshold: this.config.SCORE_THRESHOLD,
+            signals,
             issues,
             timeElapsed,
+            addsLastMinute,
+            visibilityChanges: this.visibilityChanges,
             hasMouseMoved: this.hasMouseMoved,
+            hasKeyboardOrTouch: this.hasKeyboardOrTouch,
+            hasScrolled: this.hasScrolled,
             variantChanged: this.variantChanged,
             addButtonClicked: this.addButtonClicked,
             checkoutButtonClicked: this.checkoutButtonClicked,
@@ -204,28 +349,43 @@ class BotDetector {
     }
 
     // Update Shopify cart with detection results
-    async updateCartAttributes(results) {
+    async updateCartAttributes(results, { keepalive = false } = {}) {
         try {
             const attributes = {};
             attributes[this.config.CART_ATTR_RESULT] = results.isHuman ? 'true' : 'false';
             attributes[this.config.CART_ATTR_TIMESTAMP] = new Date().toISOString();
             attributes[this.config.CART_ATTR_DETAILS] = JSON.stringify({
+                score: results.score,
+                threshold: results.threshold,
+                signals: results.signals,
                 timeElapsed: results.timeElapsed,
                 issues: results.issues,
+                addsLastMinute: results.addsLastMinute,
+                visibilityChanges: results.visibilityChanges,
                 hasMouseMoved: results.hasMouseMoved,
+                hasKeyboardOrTouch: results.hasKeyboardOrTouch,
+                hasScrolled: results.hasScrolled,
                 variantChanged: results.variantChanged,
                 addButtonClicked: results.addButtonClicked,
                 checkoutButtonClicked: results.checkoutButtonClicked
             });
 
-            await fetch('/cart/update.js', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ attributes })
-            });
+            if (keepalive) {
+                // Survives the page navigating away
+                await fetch(CartClient.PATHS.update, {
+                    method: 'POST',
+                    keepalive: true,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ attributes })
+                });
+            } else {
+                // Queued behind the add, so both requests land in order
+                await cartClient.update({ attributes });
+            }
 
-            this.log(`🛒 Cart tagged: ${results.isHuman ? 'human' : 'bot'}`, {
+            this.log(`🛒 Cart tagged: ${results.isHuman ? 'human' : 'bot'} (score ${results.score})`, {
                 isHuman: results.isHuman,
+                signals: results.signals,
                 issues: results.issues,
                 interactions: {
                     mouse: results.hasMouseMoved,
@@ -254,13 +414,22 @@ class BotDetector {
     }
 }
 
-// Auto-initialize with default config (can be disabled by setting window.disableBotDetector = true)
-if (typeof window !== 'undefined' && !window.disableBotDetector) {
-    new BotDetector();
+// Auto-initialize with the theme settings (can be disabled in the theme editor,
+// or by setting window.disableBotDetector = true)
+if (
+    typeof window !== 'undefined' &&
+    !window.disableBotDetector &&
+    window.theme?.botDetection?.enabled !== false
+) {
+    window.botDetector = new BotDetector(getThemeConfig());
 }
 
-// Example of custom configuration:
+export default BotDetector;
+
+// Example of custom configuration (set window.disableBotDetector = true before the bundle loads,
+// then override the theme settings):
 // window.botDetector = new BotDetector({
+//   ...getThemeConfig(),
 //   DEBUG: false,                      // Disable logging in production
 //   MIN_TIME_CART_ADD_MS: 2000,                // Require 2 seconds minimum
 //   REQUIRE_MOUSE_MOVEMENT: false,    // Don't require mouse movement
@@ -268,12 +437,15 @@ if (typeof window !== 'undefined' && !window.disableBotDetector) {
 //   REQUIRE_ADD_BUTTON_CLICK: true,   // Require specific add button click
 //   REQUIRE_CHECKOUT_CLICK: true,     // Require checkout button click
 //   CHECK_WEBDRIVER: false,           // Skip WebDriver detection
+//   SCORE_THRESHOLD: 70,              // Tag as bot from a score of 70
+//   WEIGHTS: { noScroll: 0 },         // Ignore scroll activity, other weights keep their defaults
 //   CART_ATTR_RESULT: 'human-check'   // Custom cart attribute name
 // });
 
 // Cart attributes that will be set:
-// - is-human: 'true' or 'false'
+// - is-human: 'true' or 'false' (score below SCORE_THRESHOLD)
 // - bot-check-timestamp: ISO timestamp
 // - bot-check-details: JSON with detection details including:
-//   * timeElapsed, issues, hasMouseMoved, variantChanged,
-//   * addButtonClicked, checkoutButtonClicked
+//   * score, threshold, signals (weight contributed by each signal, 0 if it didn't fire),
+//   * timeElapsed, issues, addsLastMinute, visibilityChanges, hasMouseMoved,
+//   * hasKeyboardOrTouch, hasScrolled, variantChanged, addButtonClicked, checkoutButtonClicked
@@ -0,0 +1,418 @@
+const routes = window.theme?.routes?.cart || {};
+
+/**
+ * Serialized client for the Shopify AJAX cart API.
+ *
+ * Every mutation (add, change, update, clear) is pushed onto a FIFO queue and sent one at a time,
+ * so responses can never land out of order. Pending quantity changes for the same line key
+ * are coalesced into a single request, and `updated` fires once when the queue drains.
+ * @class
+ */
+export class CartClient {
+    static PATHS = {
+        base: `${routes.base || '/cart'}.js`,
+        add: `${routes.add || '/cart/add'}.js`,
+        change: `${routes.change || '/cart/change'}.js`,
+        update: `${routes.update || '/cart/update'}.js`,
+        clear: `${routes.clear || '/cart/clear'}.js`
+    };
+
+    constructor() {
+        this.queue = [];
+        this.processing = false;
+        this.cart = null;
+        this.listeners = {};
+        this.idleResolvers = [];
+    }
+
+    /**
+     * Subscribes to a client event (`add`, `updating`, `optimistic`, `updated`).
+     * @param {string} event - The event name.
+     * @param {Function} callback - Called with the event payload.
+     * @returns {Function} - A function to remove the listener.
+     */
+    on(event, callback) {
+        this.listeners[event] = (this.listeners[event] || []).concat(callback);
+
+        return () => {
+            this.listeners[event] = this.listeners[event].filter((listener) => listener !== callback);
+        };
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach((callback) => callback(payload));
+    }
+
+    /**
+     * Whether a mutation is in flight or waiting in the queue.
+     * @returns {boolean}
+     */
+    get busy() {
+        return this.processing || this.queue.length > 0;
+    }
+
+    /**
+     * Resolves once the mutation queue is empty.
+     * @returns {Promise<void>}
+     */
+    idle() {
+        if (!this.busy) return Promise.resolve();
+
+        return new Promise((resolve) => this.idleResolvers.push(resolve));
+    }
+
+    /**
+     * Seeds the known cart from JSON rendered by a section, so optimistic updates can be applied
+     * without a round trip. Ignored while mutations are pending.
+     * @param {Object} cart - The cart JSON.
+     */
+    hydrate(cart) {
+        if (this.busy || !cart) return;
+
+        this.cart = cart;
+    }
+
+    /**
+     * Returns a copy of the cart with the quantity of one line changed, recalculating the line,
+     * subtotal and item count from the line's final price. Discounts and totals that depend on
+     * other lines are only correct once the cart is fetched after the queue drains.
+     * @param {Object} cart - The cart JSON.
+     * @param {string} key - The line item key.
+     * @param {number} quantity - The new quantity.
+     * @returns {Object} - The updated cart.
+     */
+    static applyChange(cart, key, quantity) {
+        const line = cart.items.find((item) => item.key === key);
+
+        if (!line) return cart;
+
+        const delta = quantity - line.quantity;
+        const priceDelta = delta * line.final_price;
+
+        const items = cart.items
+            .map((item) =>
+                item.key === key
+                    ? {
+                          ...item,
+                          quantity,
+                          final_line_price: item.final_price * quantity,
+                          line_price: item.price * quantity
+                      }
+                    : item
+            )
+            .filter((item) => item.quantity > 0);
+
+        return {
+            ...cart,
+            items,
+            item_count: cart.item_count + delta,
+            items_subtotal_price: cart.items_subtotal_price + priceDelta,
+            total_price: cart.total_price + priceDelta
+        };
+    }
+
+    /**
+     * Fetches the current cart. Waits for queued mutations so the result is never stale.
+     * @returns {Promise<Object>} - The cart JSON.
+     */
+    async get() {
+        await this.idle();
+
+        return this.fetchCart();
+    }
+
+    /**
+     * Resolves with the cart as of the end of the current queue, reusing the cart fetched on drain.
+     * @returns {Promise<Object>} - The cart JSON.
+     */
+    async settled() {
+        await this.idle();
+
+        return this.cart || this.fetchCart();
+    }
+
+    async fetchCart() {
+        const response = await fetch(CartClient.PATHS.base, {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error(`CartClient: ${CartClient.PATHS.base} responded with ${response.status}`);
+        }
+
+        this.cart = await response.json();
+
+        return this.cart;
+    }
+
+    /**
+     * Queues an add request.
+     * @param {Object|string} body - JSON payload (`{ items: [...] }`) or a urlencoded form string.
+     * @param {Object} [options]
+     * @param {boolean} [options.automatic=false] - Whether the add was made by the theme without a user
+     * gesture, e.g. restoring a shared cart on page load.
+     * @returns {Promise<Object>} - The added item(s) as returned by `/cart/add.js`.
+     */
+    add(body, { automatic = false } = {}) {
+        const promise = this.enqueue({ type: 'add', body });
+
+        // Emitted after queueing, so requests made by listeners are sent after the add
+        this.emit('add', { body, automatic });
+
+        return promise;
+    }
+
+    /**
+     * Queues a quantity change for a line. Repeated changes to the same line key that are still
+     * waiting in the queue are merged, so only the latest quantity is sent.
+     * @param {string} key - The line item key.
+     * @param {number} quantity - The new quantity.
+     * @returns {Promise<Object>} - The cart JSON returned by `/cart/change.js`.
+     */
+    change(key, quantity) {
+        const pending = this.queue.find((job) => job.type === 'change' && job.key === key);
+        const line = this.cart?.items.find((item) => item.key === key);
+        // Taken before the optimistic update, which copies the line or filters it out
+        const previousIndex = this.cart?.items.indexOf(line);
+
+        if (this.cart && line) {
+            this.cart = CartClient.applyChange(this.cart, key, quantity);
+            this.emit('optimistic', { cart: this.cart, key });
+        }
+
+        if (pending) {
+            pending.body.quantity = quantity;
+            return pending.promise;
+        }
+
+        return this.enqueue({
+            type: 'change',
+            key,
+            previousLine: line,
+            previousIndex,
+            body: { id: key, quantity }
+        });
+    }
+
+    /**
+     * Queues a change that replaces a line's properties. The line keeps its position in the cart,
+     * but gets a new key as the key is derived from the properties.
+     * @param {string} key - The line item key.
+     * @param {number} quantity - The line quantity.
+     * @param {Object} properties - The properties replacing the current ones.
+     * @returns {Promise<Object>} - The cart JSON returned by `/cart/change.js`.
+     */
+    changeProperties(key, quantity, properties) {
+        return this.enqueue({ type: 'change', key, body: { id: key, quantity, properties } });
+    }
+
+    /**
+     * Restores a line to its quantity before a failed change.
+     * @param {Object} job - The rejected change job.
+     * @returns {Object|null} - The rolled back cart, if the cart was known.
+     */
+    rollback(job) {
+        if (!this.cart || !job.previousLine) return null;
+
+        const { previousLine, previousIndex } = job;
+        const items = [...this.cart.items];
+
+        // Removed lines are re-inserted at their original position
+        if (!items.some((item) => item.key === previousLine.key)) {
+            items.splice(previousIndex, 0, { ...previousLine, quantity: 0 });
+        }
+
+        const cart = { ...this.cart, items };
+
+        this.cart = CartClient.applyChange(cart, previousLine.key, previousLine.quantity);
+
+        return this.cart;
+    }
+
+    /**
+     * Queues a `/cart/update.js` request (attributes, note or bulk quantities).
+     * @param {Object} body - The update payload.
+     * @returns {Promise<Object>} - The cart JSON.
+     */
+    update(body) {
+        return this.enqueue({ type: 'update', body });
+    }
+
+    /**
+     * Queues a line replacement: the new item is added, then the old line is removed, as one job.
+     * The old line is kept if the add fails, the added quantity is taken out again if the removal
+     * fails, and no update is emitted in between.
+     * @param {string} key - The line item key to replace.
+     * @param {Object} item - The replacement item (`id`, `quantity`, `properties`, `selling_plan`).
+     * @returns {Promise<Object>} - The cart JSON after the old line was removed.
+     */
+    replace(key, item) {
+        return this.enqueue({ type: 'replace', key, item });
+    }
+
+    /**
+     * Queues replacing every line in the cart, as one job: the items are added first, then the
+     * lines that were in the cart are removed. The added items are taken out again if the removal
+     * fails, so the cart is never left empty or doubled.
+     * @param {Array<Object>} items - The `/cart/add.js` items.
+     * @returns {Promise<Object>} - The cart JSON after the previous lines were removed.
+     */
+    replaceCart(items) {
+        return this.enqueue({ type: 'replaceCart', items });
+    }
+
+    /**
+     * Queues a request that removes every line from the cart.
+     * @returns {Promise<Object>} - The empty cart JSON.
+     */
+    clear() {
+        return this.enqueue({ type: 'clear', body: {} });
+    }
+
+    enqueue(job) {
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        this.queue.push(job);
+
+        if (!this.processing) {
+            this.emit('updating');
+            this.process();
+        }
+
+        return job.promise;
+    }
+
+    async process() {
+        this.processing = true;
+        let lastCart = null;
+        let succeeded = false;
+
+        while (this.queue.length) {
+            const job = this.queue.shift();
+
+            try {
+                const result = await this.send(job);
+                lastCart = job.type === 'add' ? null : result;
+                succeeded = true;
+                job.resolve(result);
+            } catch (error) {
+                lastCart = null;
+
+                if (job.type === 'change') {
+                    error.cart = this.rollback(job);
+                }
+
+                job.reject(error);
+            }
+        }
+
+        let cart = lastCart;
+
+        // Nothing changed when every job failed: the rolled back cart is kept, and skipping `updated`
+        // keeps the re-render from wiping the errors shown on the lines
+        if (succeeded) {
+            try {
+                cart = cart || (await this.fetchCart());
+                this.cart = cart;
+            } catch (error) {
+                console.error('CartClient: Failed to fetch cart after queue drained', error);
+            }
+        }
+
+        this.processing = false;
+        this.idleResolvers.splice(0).forEach((resolve) => resolve());
+
+        // Listeners may queue further mutations, which start a new drain cycle
+        if (cart) {
+            this.emit('updated', { cart });
+        }
+    }
+
+    async send(job) {
+        if (job.type === 'replace') {
+            const {
+                items: [added]
+            } = await this.request('add', { items: [job.item] }, job);
+
+            try {
+                return await this.request('change', { id: job.key, quantity: 0 }, job);
+            } catch (error) {
+                // The added item may have merged into an existing line, so only its quantity is removed
+                const undo = { id: added.key, quantity: added.quantity - job.item.quantity };
+
+                await this.request('change', undo, job).catch((undoError) =>
+                    console.error('CartClient: Failed to undo replacement', undoError)
+                );
+
+                throw error;
+            }
+        }
+
+        if (job.type === 'replaceCart') {
+            const previous = await this.fetchCart();
+            const { items: added } = await this.request('add', { items: job.items }, job);
+            // Items can merge into a line that was already in the cart, which then keeps only their quantity
+            const getPreviousQuantity = (key) =>
+                previous.items.find((line) => line.key === key)?.quantity || 0;
+            const updates = {};
+
+            previous.items.forEach((line) => (updates[line.key] = 0));
+            added.forEach((item) => {
+                if (item.key in updates) updates[item.key] = item.quantity - getPreviousQuantity(item.key);
+            });
+
+            try {
+                return await this.request('update', { updates }, job);
+            } catch (error) {
+                const undo = {};
+                added.forEach((item) => (undo[item.key] = getPreviousQuantity(item.key)));
+
+                await this.request('update', { updates: undo }, job).catch((undoError) =>
+                    console.error('CartClient: Failed to undo cart replacement', undoError)
+                );
+
+                throw error;
+            }
+        }
+
+        return this.request(job.type, job.body, job);
+    }
+
+    async request(type, body, job) {
+        const isForm = typeof body === 'string';
+
+        const response = await fetch(CartClient.PATHS[type], {
+            method: 'POST',
+            credentials: 'include',
+            headers: isForm
+                ? {
+                      'Content-Type': 'application/x-www-form-urlencoded',
+                      'X-Requested-With': 'XMLHttpRequest'
+                  }
+                : { 'Content-Type': 'application/json' },
+            body: isForm ? body : JSON.stringify(body)
+        });
+
+        // Error pages can be HTML, their status is what matters
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || data.status == '422') {
+            throw {
+                code: response.ok ? 422 : response.status,
+                message: data.description || data.message || response.statusText,
+                source: job.type,
+                key: job.key
+            };
+        }
+
+        return data;
+    }
+}
+
+const cartClient = new CartClient();
+
+export default cartClient;
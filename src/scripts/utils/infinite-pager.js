@@ -0,0 +1,295 @@
+/**
+ * Loads the next pages of a paginated grid in place, for collection and search results.
+ *
+ * Pages load when a sentinel after the grid comes into view, or when its "load more" link is clicked
+ * with the `click` method. Entering mid-list (`?page=3`) offers a "load previous" link as well.
+ * The loaded page range and scroll position are kept in `history.state` and the page in view in the
+ * URL, so going back to the grid restores the pages the visitor reached and where they were.
+ * @class
+ */
+export class InfinitePager {
+    static DEFAULTS = {
+        items: '[data-pager-items]',
+        next: '[data-pager-next]',
+        previous: '[data-pager-previous]',
+        method: 'scroll',
+        offset: 400,
+        loadingText: 'Loading...',
+        onLoad: null
+    };
+
+    /**
+     * @param {HTMLElement} container - The element holding the grid and its pagination links.
+     * @param {string} sectionId - The section to fetch pages of.
+     * @param {Object} [options] - Selectors and settings overriding `InfinitePager.DEFAULTS`.
+     */
+    constructor(container, sectionId, options = {}) {
+        this.container = container;
+        this.sectionId = sectionId;
+        this.options = { ...InfinitePager.DEFAULTS, ...options };
+        this.grid = container.querySelector(this.options.items);
+        this.nextEl = container.querySelector(this.options.next);
+        this.previousEl = container.querySelector(this.options.previous);
+        this.loading = false;
+        this.visibleItems = new Set();
+        this.scrollRestoration = history.scrollRestoration;
+
+        if (!this.grid) return;
+
+        this.page = parseInt(this.grid.dataset.pagerPage, 10) || 1;
+        this.pageSize = parseInt(this.grid.dataset.pagerPageSize, 10) || 0;
+        this.first = this.page;
+        this.last = this.page;
+
+        this.onClick = this.onClick.bind(this);
+        this.saveState = this.saveState.bind(this);
+
+        this.pageObserver = new IntersectionObserver((entries) => this.onItemsIntersect(entries));
+        this.addItems(Array.from(this.grid.children), this.page);
+
+        if (this.options.method === 'scroll' && this.nextEl) {
+            this.nextObserver = new IntersectionObserver(
+                (entries) => {
+                    if (entries.some((entry) => entry.isIntersecting)) this.loadNext();
+                },
+                { rootMargin: `0px 0px ${this.options.offset}px 0px` }
+            );
+            this.nextObserver.observe(this.nextEl);
+        }
+
+        this.container.addEventListener('click', this.onClick);
+        window.addEventListener('pagehide', this.saveState);
+
+        this.restore(history.state?.pager);
+    }
+
+    /**
+     * Returns the range of pages loaded.
+     * @returns {{first: number, last: number, pageSize: number}}
+     */
+    getRange() {
+        return { first: this.first, last: this.last, pageSize: this.pageSize };
+    }
+
+    /**
+     * Loads the page after the last one loaded.
+     * @returns {Promise<void>}
+     */
+    loadNext() {
+        return this.load(this.nextEl, this.last + 1, (doc) => {
+            this.appendPage(doc, this.last + 1);
+            this.replaceLink(this.nextEl, doc, this.options.next);
+        });
+    }
+
+    /**
+     * Loads the page before the first one loaded, keeping the items in view where they are.
+     * @returns {Promise<void>}
+     */
+    loadPrevious() {
+        return this.load(this.previousEl, this.first - 1, (doc) => {
+            const anchor = this.grid.firstElementChild;
+            const top = anchor ? anchor.getBoundingClientRect().top : 0;
+
+            this.prependPage(doc, this.first - 1);
+            this.replaceLink(this.previousEl, doc, this.options.previous);
+
+            if (anchor) window.scrollBy(0, anchor.getBoundingClientRect().top - top);
+        });
+    }
+
+    async load(linkContainer, page, render) {
+        const link = linkContainer?.querySelector('a');
+
+        if (this.loading || !link) return;
+
+        this.loading = true;
+        const linkText = link.innerText;
+        link.innerText = this.options.loadingText;
+
+        try {
+            const doc = await this.fetchPage(page);
+            render(doc);
+            this.saveState();
+            this.options.onLoad?.();
+        } catch (error) {
+            console.error('InfinitePager: Failed to load page', page, error);
+            link.innerText = linkText;
+        } finally {
+            this.loading = false;
+        }
+
+        this.observeNext();
+    }
+
+    async restore(state) {
+        if (!state || state.page !== this.page) return;
+
+        // The scroll position is restored once the pages above it are loaded again, not by the browser
+        history.scrollRestoration = 'manual';
+
+        const before = [];
+        const after = [];
+
+        for (let page = state.first; page < this.page; page++) before.push(page);
+        for (let page = this.page + 1; page <= state.last; page++) after.push(page);
+
+        // Keeps the sentinel from loading the next page while the restored ones are on their way
+        this.loading = true;
+
+        try {
+            const [beforeDocs, afterDocs] = await Promise.all([
+                Promise.all(before.map((page) => this.fetchPage(page))),
+                Promise.all(after.map((page) => this.fetchPage(page)))
+            ]);
+
+            beforeDocs.reverse().forEach((doc, index) => {
+                this.prependPage(doc, this.first - 1);
+
+                if (index === beforeDocs.length - 1) {
+                    this.replaceLink(this.previousEl, doc, this.options.previous);
+                }
+            });
+
+            afterDocs.forEach((doc, index) => {
+                this.appendPage(doc, this.last + 1);
+
+                if (index === afterDocs.length - 1) {
+                    this.replaceLink(this.nextEl, doc, this.options.next);
+                }
+            });
+
+            if (before.length || after.length) this.options.onLoad?.();
+        } catch (error) {
+            console.error('InfinitePager: Failed to restore pages', error);
+        } finally {
+            this.loading = false;
+        }
+
+        window.scrollTo(0, state.scrollY);
+        history.scrollRestoration = this.scrollRestoration;
+        this.observeNext();
+    }
+
+    // Observing again checks the sentinel, which may still be in view after a short page
+    observeNext() {
+        if (!this.nextObserver || !this.nextEl) return;
+
+        this.nextObserver.unobserve(this.nextEl);
+        this.nextObserver.observe(this.nextEl);
+    }
+
+    async fetchPage(page) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('page', page);
+        url.searchParams.set('section_id', this.sectionId);
+
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`InfinitePager: ${url} responded with ${response.status}`);
+        }
+
+        return new DOMParser().parseFromString(await response.text(), 'text/html');
+    }
+
+    getPageItems(doc) {
+        const grid = doc.querySelector(this.options.items);
+
+        return grid ? Array.from(grid.children) : [];
+    }
+
+    appendPage(doc, page) {
+        const items = this.getPageItems(doc);
+
+        this.addItems(items, page);
+        this.grid.append(...items);
+        this.last = page;
+    }
+
+    prependPage(doc, page) {
+        const items = this.getPageItems(doc);
+
+        this.addItems(items, page);
+        this.grid.prepend(...items);
+        this.first = page;
+    }
+
+    addItems(items, page) {
+        items.forEach((item) => {
+            item.dataset.pagerPage = page;
+            this.pageObserver.observe(item);
+        });
+    }
+
+    replaceLink(linkContainer, doc, selector) {
+        if (!linkContainer) return;
+
+        linkContainer.innerHTML = doc.querySelector(selector)?.innerHTML || '';
+    }
+
+    onClick(e) {
+        if (this.nextEl?.contains(e.target) && e.target.closest('a')) {
+            e.preventDefault();
+            this.loadNext();
+        } else if (this.previousEl?.contains(e.target) && e.target.closest('a')) {
+            e.preventDefault();
+            this.loadPrevious();
+        }
+    }
+
+    onItemsIntersect(entries) {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                this.visibleItems.add(entry.target);
+            } else {
+                this.visibleItems.delete(entry.target);
+            }
+        });
+
+        if (!this.visibleItems.size) return;
+
+        // The page in view is the one of the topmost visible item
+        const page = Math.min(
+            ...Array.from(this.visibleItems, (item) => parseInt(item.dataset.pagerPage, 10))
+        );
+
+        if (page !== this.page) {
+            this.page = page;
+            this.saveState();
+        }
+    }
+
+    /**
+     * Records the loaded pages and scroll position in the current history entry, and the page in view
+     * in the URL.
+     */
+    saveState() {
+        const url = new URL(window.location.href);
+
+        if (this.page > 1) {
+            url.searchParams.set('page', this.page);
+        } else {
+            url.searchParams.delete('page');
+        }
+
+        history.replaceState(
+            {
+                ...history.state,
+                pager: { page: this.page, first: this.first, last: this.last, scrollY: window.scrollY }
+            },
+            '',
+            url
+        );
+    }
+
+    unload() {
+        history.scrollRestoration = this.scrollRestoration;
+        this.pageObserver?.disconnect();
+        this.nextObserver?.disconnect();
+        this.container.removeEventListener('click', this.onClick);
+        window.removeEventListener('pagehide', this.saveState);
+    }
+}
+
+export default InfinitePager;
@@ -1,4 +1,5 @@
 import Cookies from 'js-cookie';
+import themeEvents from './theme-events.js';
 
 class LocalizationManager {
     static RECOMMENDATION_URL =
@@ -24,14 +25,10 @@ class LocalizationManager {
                 recommendedCountry: countryCode
             }); 
             */
-        document.dispatchEvent(
-            new CustomEvent('geolocation-recommendation', {
-                detail: {
-                    currentCountry: this.currentCountry,
-                    recommendedCountry: countryCode
-                }
-            })
-        );
+        themeEvents.emit('localization:recommendation', {
+            currentCountry: this.currentCountry,
+            recommendedCountry: countryCode
+        });
     }
 
     async getRecommendedOrSavedCountry() {
@@ -0,0 +1,109 @@
+/**
+ * Fetches a section with the section rendering API for a set of search params, as used to render
+ * filtered collection and search results.
+ *
+ * Only the latest render wins: starting one aborts the one in flight, so a slow response can never
+ * replace a newer one. Responses are kept in an LRU cache keyed by the search params, which makes
+ * going back and re-applying a filter instant, and `prefetch` fills the cache in the background.
+ * @class
+ */
+export class SectionRenderer {
+    static CACHE_SIZE = 20;
+
+    /**
+     * @param {string} sectionId - The section to render.
+     * @param {string} [path] - The page to render the section on, the current page by default.
+     */
+    constructor(sectionId, path = window.location.pathname) {
+        this.sectionId = sectionId;
+        this.path = path;
+        this.cache = new Map();
+        this.controller = null;
+    }
+
+    /**
+     * Fetches the section, aborting the previous render.
+     * @param {string} searchParams - The serialized search params.
+     * @returns {Promise<string>} - The section HTML. Rejects with an `AbortError` once a newer render starts.
+     */
+    async render(searchParams) {
+        this.controller?.abort();
+
+        const controller = new AbortController();
+        this.controller = controller;
+
+        const cached = this.get(searchParams);
+        const html = await (cached || this.request(searchParams, controller.signal)).catch((error) => {
+            // The cached request belonged to a render that was just aborted
+            if (cached && error.name === 'AbortError' && !controller.signal.aborted) {
+                return this.request(searchParams, controller.signal);
+            }
+
+            throw error;
+        });
+
+        // A cached or prefetched response may resolve after a newer render started
+        if (controller.signal.aborted) {
+            throw new DOMException('Section render was superseded', 'AbortError');
+        }
+
+        return html;
+    }
+
+    /**
+     * Fetches the section into the cache without rendering it. Ignored if it's already cached.
+     * @param {string} searchParams - The serialized search params.
+     */
+    prefetch(searchParams) {
+        if (this.cache.has(searchParams)) return;
+
+        this.request(searchParams).catch(() => {});
+    }
+
+    /**
+     * Returns a cached response and marks it as the most recently used.
+     * @param {string} searchParams - The serialized search params.
+     * @returns {Promise<string>|undefined}
+     */
+    get(searchParams) {
+        const cached = this.cache.get(searchParams);
+
+        if (cached) {
+            this.cache.delete(searchParams);
+            this.cache.set(searchParams, cached);
+        }
+
+        return cached;
+    }
+
+    request(searchParams, signal) {
+        const url = `${this.path}?section_id=${this.sectionId}&${searchParams}`;
+
+        const promise = fetch(url, { signal })
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`SectionRenderer: ${url} responded with ${response.status}`);
+                }
+
+                return response.text();
+            })
+            .catch((error) => {
+                // Failed and aborted requests are not kept, so they are retried next time
+                if (this.cache.get(searchParams) === promise) {
+                    this.cache.delete(searchParams);
+                }
+
+                throw error;
+            });
+
+        this.cache.set(searchParams, promise);
+
+        if (this.cache.size > SectionRenderer.CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return promise;
+    }
+}
+
+export default SectionRenderer;
@@ -0,0 +1,104 @@
+/**
+ * DOM event names kept for listeners written before an event was namespaced.
+ */
+const LEGACY_NAMES = {
+    'localization:recommendation': 'geolocation-recommendation'
+};
+
+/**
+ * Public theme event bus, exposed as `window.theme.events` for third-party scripts.
+ *
+ * Events are namespaced as `<namespace>:<event>`. Listeners are called with the payload and the
+ * event name, and can subscribe to a whole namespace with `<namespace>:*` or to every event with `*`.
+ * Every event is also dispatched on `document` as a `CustomEvent` with the payload as `detail`, so
+ * listeners written for the theme's original custom events keep working.
+ *
+ * Events and their payloads:
+ * - `cart:updating` - `{}`, a cart request was queued
+ * - `cart:updated` - `{ cart }`, the cart JSON once all queued requests have settled
+ * - `cart:item-added` - `{ product }`, the line item added from a product form
+ * - `cart:error` - `{ errorMessage }`
+ * - `cart:tier-reached`, `cart:tier-lost` - `{ tier, cartTotal }`
+ * - `quick-cart:open` - `{ cart }`
+ * - `quick-cart:close` - `{}`
+ * - `product:variant-change` - `{ variant }`
+ * - `product:quantity-update` - `{ quantity, variant }`
+ * - `product:back-in-stock-subscribe` - `{ variantId }`, a notify me signup for a sold out variant was sent
+ * - `quickview:open`, `quickview:close` - `{}`
+ * - `quickview:loaded` - `{}`, once the product in the open quick view is rendered
+ * - `favorites:added`, `favorites:removed` - `{ favoriteItem, favorites }`
+ * - `filters:updated` - `{ source, searchParams, productCount }`, once filtered results are rendered
+ * - `localization:recommendation` - `{ currentCountry, recommendedCountry }`
+ * @class
+ */
+export class ThemeEvents {
+    constructor() {
+        this.listeners = {};
+    }
+
+    /**
+     * Subscribes to an event, a namespace (`cart:*`) or every event (`*`).
+     * @param {string} name - The event name or pattern.
+     * @param {Function} callback - Called with the payload and the event name.
+     * @returns {Function} - A function to remove the listener.
+     */
+    on(name, callback) {
+        this.listeners[name] = (this.listeners[name] || []).concat(callback);
+
+        return () => this.off(name, callback);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event only.
+     * @param {string} name - The event name or pattern.
+     * @param {Function} callback - Called with the payload and the event name.
+     * @returns {Function} - A function to remove the listener.
+     */
+    once(name, callback) {
+        const unsubscribe = this.on(name, (payload, eventName) => {
+            unsubscribe();
+            callback(payload, eventName);
+        });
+
+        return unsubscribe;
+    }
+
+    off(name, callback) {
+        if (!this.listeners[name]) return;
+
+        this.listeners[name] = this.listeners[name].filter((listener) => listener !== callback);
+    }
+
+    /**
+     * Emits an event to bus listeners and as a `CustomEvent` on `document`.
+     * @param {string} name - The namespaced event name.
+     * @param {Object} [payload] - The event payload.
+     */
+    emit(name, payload = {}) {
+        const [namespace] = name.split(':');
+        const listeners = [name, `${namespace}:*`, '*'].flatMap((key) => this.listeners[key] || []);
+
+        // A failing third-party listener must not stop the theme's own
+        listeners.forEach((callback) => {
+            try {
+                callback(payload, name);
+            } catch (error) {
+                console.error(`ThemeEvents: Listener for ${name} failed`, error);
+            }
+        });
+
+        [name, LEGACY_NAMES[name]].filter(Boolean).forEach((eventName) => {
+            document.dispatchEvent(new CustomEvent(eventName, { detail: payload }));
+        });
+    }
+}
+
+const themeEvents = new ThemeEvents();
+
+// Listeners queued by the theme-globals.liquid shim before the bundle loaded
+(window.theme?.events?.queue || []).forEach(([name, callback]) => themeEvents.on(name, callback));
+
+window.theme = window.theme || {};
+window.theme.events = themeEvents;
+
+export default themeEvents;